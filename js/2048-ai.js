@@ -0,0 +1,87 @@
+// js/2048-ai.js — Expectimax move search for 2048 hints and autoplay
+// Pure like 2048-core.js (boards are column-major board[x][y]); the page runs it in 2048-ai.worker.js.
+
+import { DIRECTIONS, move, emptyCells } from './2048-core.js';
+
+var PROB_FOUR = 0.3;     // the game's spawn rule: 4 at 30%, else 2
+var CHANCE_SAMPLES = 6;  // spawn cells averaged per chance node, spread evenly over the empties
+var LOST = -1e6;
+
+function log2(v) { return v ? Math.log2(v) : 0; }
+
+// Higher is better: free cells, rows/columns that only rise or only fall,
+// equal neighbours (merge chances) and the largest tile held in a corner
+function evaluate(board) {
+  var n = board.length, empty = 0, mono = 0, smooth = 0, max = 0;
+  for (var x = 0; x < n; x++) {
+    for (var y = 0; y < n; y++) {
+      if (!board[x][y]) empty++;
+      else if (board[x][y] > max) max = board[x][y];
+    }
+  }
+  for (var i = 0; i < n; i++) {
+    var rowUp = 0, rowDown = 0, colUp = 0, colDown = 0;
+    for (var j = 0; j + 1 < n; j++) {
+      var a = log2(board[j][i]), b = log2(board[j + 1][i]); // along row i
+      if (a > b) rowDown += a - b; else rowUp += b - a;
+      if (a && b) smooth -= Math.abs(a - b);
+      var c = log2(board[i][j]), d = log2(board[i][j + 1]); // along column i
+      if (c > d) colDown += c - d; else colUp += d - c;
+      if (c && d) smooth -= Math.abs(c - d);
+    }
+    mono -= Math.min(rowUp, rowDown) + Math.min(colUp, colDown);
+  }
+  var last = n - 1;
+  var corners = [board[0][0], board[0][last], board[last][0], board[last][last]];
+  var corner = corners.indexOf(max) >= 0 ? log2(max) : 0;
+  return Math.log(empty + 1) * 27 + mono * 4.7 + smooth * 0.5 + corner * 10;
+}
+
+// Player to move: best over the four directions (a dead board scores LOST)
+function maxNode(board, depth) {
+  var best = LOST;
+  for (var i = 0; i < DIRECTIONS.length; i++) {
+    var res = move(board, DIRECTIONS[i]);
+    if (res.moved) best = Math.max(best, chanceNode(res.board, depth));
+  }
+  return best;
+}
+
+// Spawn to come: average over (sampled) cells and the 2/4 odds.
+// `board` is a fresh copy from move(), so cells are filled in place and cleared again.
+function chanceNode(board, depth) {
+  if (depth <= 0) return evaluate(board);
+  var cells = emptyCells(board);
+  if (!cells.length) return evaluate(board);
+  var step = Math.max(1, cells.length / CHANCE_SAMPLES);
+  var total = 0, count = 0;
+  for (var k = 0; k < cells.length; k += step) {
+    var cell = cells[Math.floor(k)];
+    board[cell.x][cell.y] = 2;
+    total += (1 - PROB_FOUR) * maxNode(board, depth - 1);
+    board[cell.x][cell.y] = 4;
+    total += PROB_FOUR * maxNode(board, depth - 1);
+    board[cell.x][cell.y] = 0;
+    count++;
+  }
+  return total / count;
+}
+
+// Search depth in moves: deeper when the board is crowded and every move matters
+function autoDepth(board) {
+  return emptyCells(board).length <= 4 ? 3 : 2;
+}
+
+// -> { dir: "up" | "right" | "down" | "left" | null, scores: { dir: value } }
+// dir is null when no move changes the board (game over).
+export function bestMove(board, depth) {
+  depth = depth || autoDepth(board);
+  var scores = {}, dir = null, best = -Infinity;
+  DIRECTIONS.forEach(function (d) {
+    var res = move(board, d);
+    if (!res.moved) return;
+    scores[d] = chanceNode(res.board, depth);
+    if (scores[d] > best) { best = scores[d]; dir = d; }
+  });
+  return { dir: dir, scores: scores };
+}
@@ -0,0 +1,9 @@
+// js/2048-ai.worker.js — Module worker: runs the 2048 move search off the main thread
+// In: { id, board }  Out: { id, dir, scores }
+
+import { bestMove } from './2048-ai.js';
+
+self.onmessage = function (e) {
+  var res = bestMove(e.data.board);
+  self.postMessage({ id: e.data.id, dir: res.dir, scores: res.scores });
+};
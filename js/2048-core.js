@@ -0,0 +1,146 @@
+// js/2048-core.js — 2048 rules without DOM: seeded RNG, spawns and moves
+// Boards are column-major like Game.getMatrix(): board[x][y], x = column, y = row, 0 = empty.
+// Everything here is pure: inputs are never mutated, RNG state is passed in and returned.
+
+/* ---------- Seeded RNG (mulberry32, see rng.js) ---------- */
+import { newSeed, nextRandom } from './rng.js';
+export { newSeed, nextRandom };
+
+/* ---------- Boards ---------- */
+export function emptyBoard(size) {
+  var board = [];
+  for (var x = 0; x < size; x++) board.push(new Array(size).fill(0));
+  return board;
+}
+
+// Empty cells in board order (x-major), the order spawns pick from
+export function emptyCells(board) {
+  var cells = [];
+  for (var x = 0; x < board.length; x++) {
+    for (var y = 0; y < board[x].length; y++) if (!board[x][y]) cells.push({ x: x, y: y });
+  }
+  return cells;
+}
+
+// Same draws, same order as the live game: first the cell, then 4 (30%) or 2
+// -> { board, tile: {x, y, value} | null, rngState }
+export function spawn(board, rngState) {
+  var cells = emptyCells(board);
+  if (!cells.length) return { board: board, tile: null, rngState: rngState };
+  var a = nextRandom(rngState);
+  var cell = cells[Math.floor(a[0] * cells.length)];
+  var b = nextRandom(a[1]);
+  var value = b[0] < 0.3 ? 4 : 2;
+  var next = board.map(function (col) { return col.slice(); });
+  next[cell.x][cell.y] = value;
+  return { board: next, tile: { x: cell.x, y: cell.y, value: value }, rngState: b[1] };
+}
+
+/* ---------- Moves ---------- */
+export var DIRECTIONS = ["up", "right", "down", "left"];
+
+// Cells of every line in the order tiles slide, leading edge first
+function lines(size, dir) {
+  var out = [];
+  for (var i = 0; i < size; i++) {
+    var line = [];
+    for (var j = 0; j < size; j++) {
+      if (dir === "left") line.push({ x: j, y: i });
+      else if (dir === "right") line.push({ x: size - 1 - j, y: i });
+      else if (dir === "up") line.push({ x: i, y: j });
+      else line.push({ x: i, y: size - 1 - j });
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+// Slide and merge toward `dir`. Each tile merges at most once per move, leading edge first.
+// scoreDelta follows the game's scoring: a merge scores the value of the tiles merged
+// (2 + 2 scores 2). merges: [{x, y, value}] cells holding a new merged tile;
+// moves: [{from: {x, y}, to: {x, y}, value, merged}] one per tile that slid or merged.
+// -> { board, scoreDelta, merges, moves, moved }
+export function move(board, dir) {
+  if (DIRECTIONS.indexOf(dir) < 0) throw new Error("unknown direction: " + dir);
+  var size = board.length;
+  var next = emptyBoard(size);
+  var scoreDelta = 0, merges = [], moves = [], moved = false;
+
+  lines(size, dir).forEach(function (line) {
+    var slot = 0, canMerge = false;
+    line.forEach(function (cell) {
+      var value = board[cell.x][cell.y];
+      if (!value) return;
+      var prev = slot > 0 ? line[slot - 1] : null;
+      if (canMerge && prev && next[prev.x][prev.y] === value) {
+        next[prev.x][prev.y] = value * 2;
+        scoreDelta += value;
+        merges.push({ x: prev.x, y: prev.y, value: value * 2 });
+        moves.push({ from: cell, to: prev, value: value, merged: true });
+        canMerge = false;
+        moved = true;
+        return;
+      }
+      var to = line[slot++];
+      next[to.x][to.y] = value;
+      canMerge = true;
+      if (to.x !== cell.x || to.y !== cell.y) {
+        moves.push({ from: cell, to: to, value: value, merged: false });
+        moved = true;
+      }
+    });
+  });
+
+  return { board: moved ? next : board, scoreDelta: scoreDelta, merges: merges, moves: moves, moved: moved };
+}
+
+export function canMove(board) {
+  return DIRECTIONS.some(function (dir) { return move(board, dir).moved; });
+}
+
+export function maxTile(board) {
+  return Math.max.apply(null, board.map(function (col) { return Math.max.apply(null, col); }));
+}
+
+/* ---------- Replays ---------- */
+// Moves are stored as a string of direction initials: "ULDR..."
+export var MOVE_CODES = { up: "U", right: "R", down: "D", left: "L" };
+var CODE_DIRS = { U: "up", R: "right", D: "down", L: "left" };
+
+// Re-run a game from its seed: one spawn to open, then move + spawn per entry.
+// -> frames [{ board, score, dir, spawn }] (frames[0] = opening board)
+export function replayFrames(size, seed, moveCodes) {
+  var opening = spawn(emptyBoard(size), seed >>> 0);
+  var frames = [{ board: opening.board, score: 0, dir: null, spawn: opening.tile }];
+  var board = opening.board, score = 0, rngState = opening.rngState;
+  for (var i = 0; i < moveCodes.length; i++) {
+    var dir = CODE_DIRS[moveCodes[i]];
+    if (!dir) continue;
+    var res = move(board, dir);
+    if (!res.moved) continue;
+    score += res.scoreDelta;
+    var s = spawn(res.board, rngState);
+    board = s.board; rngState = s.rngState;
+    frames.push({ board: board, score: score, dir: dir, spawn: s.tile });
+  }
+  return frames;
+}
+
+// Share codes name a mode and a seed: "4x4-2048-k2j9x1" (target 0 = "endless").
+// Result codes append the score and largest tile to beat: "4x4-2048-k2j9x1/5120/512".
+export function seedCode(size, target, seed) {
+  return size + "x" + size + "-" + (target || "endless") + "-" + (seed >>> 0).toString(36);
+}
+export function resultCode(size, target, seed, score, tile) {
+  return seedCode(size, target, seed) + "/" + score + "/" + tile;
+}
+// Accepts seed and result codes -> { size, target, seed, score?, maxTile? } | null
+export function parseSeedCode(code) {
+  var m = /^\s*([3-8])x\1-(1024|2048|4096|endless)-([0-9a-z]{1,7})(?:\/(\d+)\/(\d+))?\s*$/i.exec(String(code || ""));
+  if (!m) return null;
+  var seed = parseInt(m[3], 36);
+  if (!(seed >= 0 && seed < 4294967296)) return null;
+  var parsed = { size: +m[1], target: m[2].toLowerCase() === "endless" ? 0 : +m[2], seed: seed };
+  if (m[4] != null) { parsed.score = +m[4]; parsed.maxTile = +m[5]; }
+  return parsed;
+}
@@ -1,6 +1,22 @@
-// js/2048.js — One-viewport layout (no fullscreen), with coin rewards/undo
+// js/2048.js — One-viewport layout (no fullscreen), with coin rewards, paid multi-step undo/redo
+// and seeded games that can be replayed move by move
 import { Coins } from './coins.js';
+import { Achievements } from './achievements.js';
+import { Cosmetics } from './cosmetics.js';
+import { newSeed, emptyBoard, spawn, move, canMove, maxTile, replayFrames, seedCode, resultCode, parseSeedCode, MOVE_CODES } from './2048-core.js';
 Coins.init({ ui: true, source: '2048' });
+Achievements.init();
+
+// Equipped tile palette (shop cosmetic) overrides the per-value colors in 2048.css
+Cosmetics.equipped('2048.palette').then(item => {
+  if (!item?.data) return;
+  const style = document.createElement('style');
+  style.id = 'tile-palette';
+  style.textContent = Object.entries(item.data)
+    .map(([v, c]) => `.tile_number[data-value="${v}"] { background: ${c}; box-shadow: 0 0 1px 1px ${c}; }`)
+    .join('\n');
+  document.head.appendChild(style);
+});
 
 /* =========================================================
    One-viewport sizing
@@ -109,33 +125,85 @@ Coins.init({ ui: true, source: '2048' });
 })();
 
 /* =========================================================
-   Game bootstrap
+   Game bootstrap + modes (board size × target tile)
+   - Each mode keeps its own saved game, move journal and high score
+   - Target 0 = endless (no win)
    ========================================================= */
 
-function gameStart() {
-  window.game = new Game(4);
-  if (!window.game.loadState()) {
+var MODE_KEY = "2048_mode";
+var SIZES = [3, 4, 5, 6, 7, 8];
+var TARGETS = [1024, 2048, 4096, 0];
+
+function readMode() {
+  var mode = null;
+  try { mode = JSON.parse(localStorage.getItem(MODE_KEY)); } catch (e) {}
+  return {
+    size: mode && SIZES.includes(mode.size) ? mode.size : 4,
+    target: mode && TARGETS.includes(mode.target) ? mode.target : 2048
+  };
+}
+function modeSuffix(size, target) { return size + "x" + size + "_" + (target || "endless"); }
+
+// Single-mode keys from before board sizes existed belong to 4x4 / 2048
+(function migrateLegacyKeys() {
+  [["2048_gameState", "2048_gameState_4x4_2048"],
+   ["2048_gameState_undo", "2048_gameState_4x4_2048_undo"],
+   ["2048_highScore", "2048_highScore_4x4_2048"]].forEach(function (pair) {
+    var old = localStorage.getItem(pair[0]);
+    if (old === null) return;
+    if (localStorage.getItem(pair[1]) === null) localStorage.setItem(pair[1], old);
+    localStorage.removeItem(pair[0]);
+  });
+})();
+
+// seed: start a fresh game on that seed (same spawns for everyone) instead of resuming
+function gameStart(seed) {
+  var mode = readMode();
+  $('[data-js="size"]').val(String(mode.size));
+  $('[data-js="target"]').val(String(mode.target));
+  window.game = new Game(mode.size, mode.target, seed);
+  if (seed != null || !window.game.loadState()) {
     window.game.initialize();
     window.game.saveState();
+    window.game.clearJournal();
   } else {
     window.game.initEventListeners();
     window.game.isGameOver();
   }
 }
-$(document).ready(gameStart);
-
-/* ---------------- Game ---------------- */
-function Game(size) {
+$(document).ready(function () { gameStart(); }); // ready passes jQuery as the first argument
+
+/* ---------------- Game ----------------
+   Rules live in 2048-core.js: `model` is the value board the core moves and spawns on,
+   `tiles` holds the Tile views in the same layout. The DOM only replays the core's diffs.
+   Spawns draw from a per-game mulberry32 stream: seed + move list reproduce the whole game.
+   seed = null marks a game restored from a pre-seed save. */
+function Game(size, target, seed) {
   this.rows = size;
   this.columns = size;
-  this.board = [];
-  this.boardFlatten = function () { return _.flatten(this.board); };
+  this.target = target; // 0 = endless
+  this.model = emptyBoard(size); // values, column-major: model[x][y]
+  this.tiles = [];                // Tile | null, same layout as model
   this.score = 0;
 
-  this.highScoreKey = "2048_highScore";
-  this.stateKey = "2048_gameState";
+  this.seed = seed == null ? newSeed() : seed >>> 0;
+  this.rngState = this.seed;
+  this.moves = ""; // one MOVE_CODES letter per move that changed the board
+
+  // Per-game stats for the win / game-over overlays (saved with the game)
+  this.won = false;       // target reached once; keep-going play never re-triggers the win
+  this.playMs = 0;        // time between moves, idle gaps capped at IDLE_CAP_MS
+  this.coinsEarned = 0;   // tile rewards actually booked
+  this.lastMoveAt = 0;
+  this.paused = false;    // the win overlay holds the board until "keep going"
+
+  this.highScoreKey = "2048_highScore_" + modeSuffix(size, target);
+  this.stateKey = "2048_gameState_" + modeSuffix(size, target);
   this.highScore = parseInt(localStorage.getItem(this.highScoreKey)) || 0;
 
+  // Grid cells, tiles and tile text size off --grid-n (see 2048.css)
+  document.getElementById("touchGameboard").style.setProperty("--grid-n", size);
+
   $('[data-js="score"]').html(this.score.toString());
   $('[data-js="highScore"]').html(this.highScore.toString());
 
@@ -144,38 +212,29 @@ function Game(size) {
 
 /* Init */
 Game.prototype.initialize = function () {
-  $(".grid").empty();
-  $(".tile-container").empty();
-  this.board = [];
-  this.initBoard();
+  this.restoreMatrix(emptyBoard(this.rows), 0);
   this.initTile();
   this.initEventListeners();
 };
 
-/* Grid */
+/* Grid (background cells) + empty tile layer */
 Game.prototype.initBoard = function () {
-  function initGridCell(x, y) {
-    var getGridCell = $.parseHTML($("#template_grid_cell").html());
-    $(getGridCell).appendTo(".grid");
-    return { x: x, y: y, tilesArray: [] };
-  }
-  for (var x = 0; x < this.rows; x++) {
-    var newArray = [];
-    this.board.push(newArray);
-    for (var y = 0; y < this.columns; y++) {
-      var gridObj = initGridCell(x, y);
-      newArray.push(gridObj);
-    }
-  }
+  this.hideOverlay();
+  $(".grid").empty();
+  $(".tile-container").empty();
+  var cellHtml = $("#template_grid_cell").html();
+  for (var i = 0; i < this.rows * this.columns; i++) $($.parseHTML(cellHtml)).appendTo(".grid");
+  this.tiles = emptyBoard(this.rows).map(function (col) { return col.map(function () { return null; }); });
 };
 
-/* Spawn one tile */
+/* Spawn one tile from the seeded stream -> {x, y, value} | null */
 Game.prototype.initTile = function () {
+  var s = spawn(this.model, this.rngState);
+  this.model = s.board;
+  this.rngState = s.rngState;
+  if (s.tile) this.tiles[s.tile.x][s.tile.y] = new Tile(s.tile.x, s.tile.y, this, s.tile.value);
   this.isGameOver();
-  var emptyCell = this.getRandomEmptyCell();
-  if (!emptyCell) return;
-  var tile = new Tile(emptyCell.x, emptyCell.y, this);
-  this.isGameOver();
+  return s.tile;
 };
 
 /* Listeners */
@@ -188,119 +247,132 @@ Game.prototype.initEventListeners = function () {
     recognizers: [[Hammer.Swipe, { direction: Hammer.DIRECTION_ALL }]]
   });
 
+  // A move by the player takes over from autoplay
+  function userMove(direction) {
+    self.autoplaying = false;
+    self.move(direction);
+  }
+
   window.hammertime
-    .on("swipeleft", function () { self.move("left"); })
-    .on("swiperight", function () { self.move("right"); })
-    .on("swipedown", function () { self.move("down"); })
-    .on("swipeup", function () { self.move("up"); });
+    .on("swipeleft", function () { userMove("left"); })
+    .on("swiperight", function () { userMove("right"); })
+    .on("swipedown", function () { userMove("down"); })
+    .on("swipeup", function () { userMove("up"); });
 
   $(document).off("keydown.move").on("keydown.move", function (event) {
     if ([37,38,39,40].includes(event.which)) event.preventDefault();
     switch (event.which) {
-      case 37: self.move("left"); break;
-      case 38: self.move("up"); break;
-      case 39: self.move("right"); break;
-      case 40: self.move("down"); break;
+      case 37: userMove("left"); break;
+      case 38: userMove("up"); break;
+      case 39: userMove("right"); break;
+      case 40: userMove("down"); break;
     }
   });
 
-  // New game
+  // New game (the finished one goes to the replay archive)
   $('[data-js="newGame"]').off("click.newGame").on("click.newGame", function () {
+    self.archiveReplay();
     localStorage.removeItem(self.stateKey);
     gameStart(); // call local function (ESM scope)
   });
 
+  // Mode pickers: switch to that mode's saved game (or a fresh one)
+  $('[data-js="size"], [data-js="target"]').off("change.mode").on("change.mode", function () {
+    var mode = { size: parseInt($('[data-js="size"]').val(), 10), target: parseInt($('[data-js="target"]').val(), 10) };
+    localStorage.setItem(MODE_KEY, JSON.stringify(mode));
+    this.blur(); // keep arrow keys for the board
+    gameStart();
+  });
+
   // (Removed) Fullscreen toggle — per new design, no fullscreen mode
 
-  // Undo (costs 50 coins only if a snapshot exists)
+  // Undo: every step costs UNDO_PRICE coins, charged only when a journal entry exists
   $('[data-js="undo"]').off("click.undo").on("click.undo", async function () {
-    const hasSnapshot = !!localStorage.getItem(self.stateKey + "_undo");
-    if (!hasSnapshot) { Coins.toast('Nothing to undo.'); return; }
+    if (!self.journal.past.length) { Coins.toast('Nothing to undo.'); return; }
+    if (self.moveInProgress || self.undoBusy || self.autoplaying) return;
 
+    self.undoBusy = true;
     try {
-      const res = await Coins.spend(50, 'Undo move', { source: '2048' });
+      const res = await Coins.spend(UNDO_PRICE, 'Undo move', { source: '2048' });
       if (res?.ok) {
         self.undo();
       } else if (res?.reason === 'insufficient') {
-        Coins.toast('Not enough coins (need 50).');
+        Coins.toast(`Not enough coins (need ${UNDO_PRICE}).`);
+      } else if (res?.reason === 'limit') {
+        Coins.toast('Daily undo spending limit reached.');
       } else {
         Coins.toast('Could not process coin spend. Please try again.');
       }
     } catch (e) {
       console.warn('Coins.spend failed:', e);
       Coins.toast('Coin system error. Please try again.');
+    } finally {
+      self.undoBusy = false;
     }
   });
-};
 
-/* Win/Lose via toaster */
-Game.prototype.gameWon = function () { Coins.toast("You won! 🎉"); };
-Game.prototype.gameLost = function () { Coins.toast("Game over!"); };
-
-/* Status */
-Game.prototype.isGameOver = function () {
-  var gameBoard = this.boardFlatten();
-  var is2048 = false, canAnyTileMove = false, hasEmptyCells = false;
+  // Redo is free: it only replays a move that was already played
+  $('[data-js="redo"]').off("click.redo").on("click.redo", function () {
+    if (self.moveInProgress || self.undoBusy || self.autoplaying) return;
+    if (!self.redo()) Coins.toast('Nothing to redo.');
+  });
 
-  gameBoard.forEach(function (cell) {
-    cell.tilesArray.forEach(function (tile) {
-      if (tile.valueProp === 2048) is2048 = true;
-    });
+  // Hint: HINT_PRICE coins, charged only once the engine has found a move for this board
+  $('[data-js="hint"]').off("click.hint").on("click.hint", function () {
+    if (self.hintBusy || self.autoplaying) return;
+    self.hintBusy = true;
+    self.hint().finally(function () { self.hintBusy = false; });
   });
-  if (this.getEmptyCells().length > 0) hasEmptyCells = true;
 
-  gameBoard.forEach(function (cell) {
-    cell.tilesArray.forEach(function (tile) {
-      tile.moveCheck();
-      if (tile.canMove) canAnyTileMove = true;
-    });
+  // Autoplay N moves: paid up front, moves left unplayed are refunded
+  $('[data-js="autoplay"]').off("change.autoplay").on("change.autoplay", function () {
+    var n = parseInt(this.value, 10);
+    this.value = "0";
+    this.blur();
+    if (n > 0 && !self.autoplaying && !self.hintBusy) self.autoplay(n);
   });
 
-  if (is2048) return this.gameWon();
-  if (!hasEmptyCells && !canAnyTileMove) return this.gameLost();
-  return false;
-};
+  $('[data-js="replay"]').off("click.replay").on("click.replay", function () { openReplay(self); });
 
-Game.prototype.getEmptyCells = function () {
-  return _.filter(this.boardFlatten(), function (cell) { return !cell.tilesArray.length; });
+  this.loadJournal();
 };
-Game.prototype.getRandomEmptyCell = function () {
-  var emptyGridCells = this.getEmptyCells();
-  if (!emptyGridCells.length) return null;
-  var randomIndex = Math.floor(Math.random() * emptyGridCells.length);
-  return emptyGridCells[randomIndex];
-};
-
-/* Merge & scoring (with coin rewards) */
-Game.prototype.TileMerge = function () {
-  var gameBoard = this.boardFlatten();
-  var newScore = this.score;
 
-  gameBoard.forEach(function (cell) {
-    if (cell.tilesArray.length === 2) {
-      var currentValue = cell.tilesArray[0].valueProp;
-      var newValue = currentValue * 2;
-
-      // apply merge
-      cell.tilesArray[0].value = newValue;
-      var x = cell.tilesArray.pop();
-      x.el.remove();
+/* Win/Lose overlays */
+Game.prototype.gameWon = function () {
+  this.paused = true;
+  this.showOverlay("won");
+};
+Game.prototype.gameLost = function () { this.showOverlay("lost"); };
 
-      // score increases by the merged value (same as before)
-      newScore += currentValue;
+/* Status */
+Game.prototype.isGameOver = function () {
+  if (this.target && !this.won && maxTile(this.model) >= this.target) {
+    this.won = true; // saved with the next saveState, so a reload does not win again
+    return this.gameWon();
+  }
+  if (!canMove(this.model)) return this.gameLost();
+  return false;
+};
 
-      // coin rewards per newly created tile
-      if (newValue === 512) {
-        Coins.add(10, 'Created 512 tile', { source: '2048' });
-      } else if (newValue === 1024) {
-        Coins.add(20, 'Created 1024 tile', { source: '2048' });
-      } else if (newValue === 2048) {
-        Coins.add(100, 'Created 2048 tile', { source: '2048' });
-      }
+/* Scoring (with coin rewards) for the merges of one move */
+Game.prototype.applyMerges = function (merges, scoreDelta) {
+  var self = this, size = this.rows, target = this.target;
+
+  merges.forEach(function (m) {
+    // coin rewards for milestone tiles (amounts and per-mode scaling live in the coins economy config)
+    if (m.value >= (target || 2048) / 4) {
+      Coins.reward('2048.tile', { value: m.value, size: size, target: target }).then(function (res) {
+        if (!res || !res.ok || window.game !== self) return; // capped, or a new game took over the save slot
+        self.coinsEarned += res.amount;
+        $('.game-overlay [data-stat="coins"]').text(self.coinsEarned); // the winning tile's reward lands after the overlay
+        self.saveState();
+      }).catch(function (e) { console.warn("2048 tile reward failed:", e); });
     }
+    if (m.value >= 512) Achievements.report('2048.tile', { value: m.value, size: size, target: target });
   });
 
-  this.score = newScore;
+  // a merge scores the value of the tiles merged (2 + 2 scores 2)
+  this.score += scoreDelta;
   $('[data-js="score"]').html(this.score.toString());
 
   if (this.score > this.highScore) {
@@ -310,137 +382,172 @@ Game.prototype.TileMerge = function () {
   }
 };
 
-/* Animations + post-move */
-Game.prototype.moveAnimations = function (gameBoard) {
+/* Animations + post-move: slide the tiles the core moved, then merge, spawn and save */
+Game.prototype.moveAnimations = function (result, direction, before) {
   var self = this;
   var promiseArray = [];
+  var next = emptyBoard(this.rows).map(function (col) { return col.map(function () { return null; }); });
+  var absorbed = [];
 
-  if (this.moveInProgress) return false;
   this.moveInProgress = true;
 
-  gameBoard.forEach(function (cell) {
-    cell.tilesArray.forEach(function (tile) {
-      promiseArray.push(tile.animatePosition());
-    });
-  });
-
-  $.when.apply($, promiseArray).then(function () {
-    self.moveInProgress = false;
-    self.TileMerge();
-    self.initTile();
-    self.saveState();
+  // Tiles the core left in place keep their cell
+  var moving = {};
+  result.moves.forEach(function (m) { moving[m.from.x + "," + m.from.y] = true; });
+  for (var x = 0; x < this.rows; x++) {
+    for (var y = 0; y < this.columns; y++) {
+      if (this.tiles[x][y] && !moving[x + "," + y]) next[x][y] = this.tiles[x][y];
+    }
+  }
+  // Sliders take their new cell; a merging tile slides under the survivor and goes away
+  result.moves.forEach(function (m) {
+    var tile = self.tiles[m.from.x][m.from.y];
+    promiseArray.push(tile.moveTo(m.to.x, m.to.y));
+    if (m.merged) absorbed.push(tile);
+    else next[m.to.x][m.to.y] = tile;
   });
+  this.tiles = next;
+  this.model = result.board;
 
-  if (promiseArray.length === 0) {
+  function finish() {
     self.moveInProgress = false;
-    self.TileMerge();
-    self.initTile();
+    absorbed.forEach(function (tile) { tile.el.remove(); });
+    result.merges.forEach(function (m) { self.tiles[m.x][m.y].value = m.value; });
+    self.applyMerges(result.merges, result.scoreDelta);
+    self.moves += MOVE_CODES[direction];
+    var spawned = self.initTile();
     self.saveState();
+    self.recordMove(direction, before, spawned);
   }
+  $.when.apply($, promiseArray).then(finish);
 };
 
-/* ----- UNDO helpers ----- */
+/* ----- Move journal (multi-step undo / redo) -----
+   Each entry: { dir, spawn: {x, y, value} | null, before: {board, score, rng}, after: {board, score, rng} }.
+   rng is the spawn stream state, so an undone move replays with the same spawn.
+   `past` holds up to JOURNAL_MAX moves (newest last); undone moves wait in `future` until
+   the next real move. Persisted per mode under stateKey + "_journal". */
+var JOURNAL_MAX = 50;
+var UNDO_PRICE = 50;
+
 Game.prototype.getMatrix = function () {
-  var matrix = [];
+  return this.model.map(function (col) { return col.slice(); });
+};
+Game.prototype.loadJournal = function () {
+  var journal = null;
+  try { journal = JSON.parse(localStorage.getItem(this.stateKey + "_journal")); } catch (e) {}
+  this.journal = {
+    past: journal && Array.isArray(journal.past) ? journal.past.slice(-JOURNAL_MAX) : [],
+    future: journal && Array.isArray(journal.future) ? journal.future : []
+  };
+  // The old single snapshot becomes the first undo step
+  var legacy = localStorage.getItem(this.stateKey + "_undo");
+  if (legacy) {
+    try {
+      var snap = JSON.parse(legacy);
+      if (!this.journal.past.length && snap && snap.rows === this.rows) {
+        this.journal.past.push({ dir: null, spawn: null, before: { board: snap.board, score: snap.score || 0 }, after: this.snapshot() });
+      }
+    } catch (e) {}
+    localStorage.removeItem(this.stateKey + "_undo");
+    this.saveJournal();
+  }
+  this.updateHistoryButtons();
+};
+Game.prototype.saveJournal = function () {
+  try { localStorage.setItem(this.stateKey + "_journal", JSON.stringify(this.journal)); }
+  catch (e) { console.warn("Failed to save move journal:", e); }
+  this.updateHistoryButtons();
+};
+Game.prototype.clearJournal = function () {
+  this.journal = { past: [], future: [] };
+  localStorage.removeItem(this.stateKey + "_journal");
+  this.updateHistoryButtons();
+};
+Game.prototype.snapshot = function () {
+  return { board: this.getMatrix(), score: this.score, rng: this.rngState };
+};
+Game.prototype.recordMove = function (dir, before, spawned) {
+  this.journal.past.push({
+    dir: dir,
+    spawn: spawned || null,
+    before: before,
+    after: this.snapshot()
+  });
+  if (this.journal.past.length > JOURNAL_MAX) this.journal.past.shift();
+  this.journal.future = [];
+  this.saveJournal();
+};
+Game.prototype.updateHistoryButtons = function () {
+  var j = this.journal || { past: [], future: [] };
+  $('[data-js="undo"]').text(j.past.length ? "Undo (" + j.past.length + ")" : "Undo");
+  $('[data-js="redo"]').text(j.future.length ? "Redo (" + j.future.length + ")" : "Redo").prop("disabled", !j.future.length);
+};
+
+// Rebuild grid + tiles from a value matrix
+Game.prototype.restoreMatrix = function (board, score) {
+  this.initBoard();
+  this.model = board.map(function (col) { return col.slice(); });
   for (var x = 0; x < this.rows; x++) {
-    var row = [];
     for (var y = 0; y < this.columns; y++) {
-      var cell = this.board[x][y];
-      row.push(cell.tilesArray.length ? cell.tilesArray[0].valueProp : 0);
+      if (this.model[x][y] > 0) this.tiles[x][y] = new Tile(x, y, this, this.model[x][y]);
     }
-    matrix.push(row);
   }
-  return matrix;
+  this.score = score || 0;
+  $('[data-js="score"]').html(this.score.toString());
 };
-Game.prototype.saveUndoState = function () {
-  try {
-    var undo = {
-      rows: this.rows,
-      columns: this.columns,
-      board: this.getMatrix(),
-      score: this.score,
-      highScore: this.highScore
-    };
-    localStorage.setItem(this.stateKey + "_undo", JSON.stringify(undo));
-  } catch (e) { console.warn("Failed to save undo state:", e); }
+// Steps without rng (journals from before seeded games) leave the game unreplayable
+Game.prototype.rewind = function (snap, code, forward) {
+  if (snap.rng == null || !code) this.seed = null;
+  if (snap.rng != null) this.rngState = snap.rng;
+  this.moves = forward ? this.moves + (code || "") : this.moves.slice(0, -1);
 };
-Game.prototype.clearUndo = function () { localStorage.removeItem(this.stateKey + "_undo"); };
 Game.prototype.undo = function () {
-  try {
-    var saved = localStorage.getItem(this.stateKey + "_undo");
-    if (!saved) return;
-
-    var state = JSON.parse(saved);
-    $(".grid").empty();
-    $(".tile-container").empty();
-    this.board = [];
-    this.initBoard();
-
-    for (var x = 0; x < state.rows; x++) {
-      for (var y = 0; y < state.columns; y++) {
-        var value = state.board[x][y];
-        if (value > 0) {
-          var t = new Tile(x, y, this);
-          t.value = value;
-        }
-      }
-    }
-    this.score = state.score || 0;
-    this.highScore = Math.max(this.highScore, state.highScore || 0);
-    $('[data-js="score"]').html(this.score.toString());
-    $('[data-js="highScore"]').html(this.highScore.toString());
-
-    this.moveInProgress = false;
-    this.saveState();
-    this.clearUndo();
-  } catch (e) { console.warn("Failed to undo:", e); }
+  var entry = this.journal.past.pop();
+  if (!entry) return false;
+  this.restoreMatrix(entry.before.board, entry.before.score);
+  this.rewind(entry.before, MOVE_CODES[entry.dir], false);
+  this.journal.future.push(entry);
+  this.moveInProgress = false;
+  this.saveState();
+  this.saveJournal();
+  return true;
+};
+Game.prototype.redo = function () {
+  var entry = this.journal.future.pop();
+  if (!entry) return false;
+  this.restoreMatrix(entry.after.board, entry.after.score);
+  this.rewind(entry.after, MOVE_CODES[entry.dir], true);
+  this.journal.past.push(entry);
+  this.moveInProgress = false;
+  this.saveState();
+  this.saveJournal();
+  return true;
 };
 
 /* Movement */
 Game.prototype.move = function (getDirection) {
-  var gameBoard;
   var direction = getDirection.toLowerCase();
-  var hasAnyTileMoved = false;
-  var undoSaved = false;
-
-  if (this.moveInProgress) return false;
-
-  if (direction === "up") {
-    gameBoard = _.orderBy(this.boardFlatten(), "y", "asc");
-  } else if (direction === "right") {
-    gameBoard = _.orderBy(this.boardFlatten(), "x", "desc");
-  } else if (direction === "down") {
-    gameBoard = _.orderBy(this.boardFlatten(), "y", "desc");
-  } else if (direction === "left") {
-    gameBoard = _.orderBy(this.boardFlatten(), "y", "asc");
-  } else { return false; }
-
-  gameBoard.forEach(function (cell) {
-    cell.tilesArray.forEach(function (tile) {
-      if (tile.move(direction, true)) {
-        if (!undoSaved) { tile.game.saveUndoState(); undoSaved = true; }
-        hasAnyTileMoved = true;
-        tile.move(direction);
-      }
-    });
-  });
+  if (this.moveInProgress || this.paused || !MOVE_CODES[direction]) return false;
+
+  var result = move(this.model, direction);
+  if (!result.moved) return false;
 
-  if (hasAnyTileMoved) this.moveAnimations(gameBoard);
+  var now = Date.now();
+  if (this.lastMoveAt) this.playMs += Math.min(now - this.lastMoveAt, IDLE_CAP_MS);
+  this.lastMoveAt = now;
+  this.moveAnimations(result, direction, this.snapshot());
+  return true;
 };
 
 /* ---- Save / Load ---- */
 Game.prototype.saveState = function () {
   try {
-    var matrix = [];
-    for (var x = 0; x < this.rows; x++) {
-      var row = [];
-      for (var y = 0; y < this.columns; y++) {
-        var cell = this.board[x][y];
-        row.push(cell.tilesArray.length ? cell.tilesArray[0].valueProp : 0);
-      }
-      matrix.push(row);
-    }
-    var state = { rows: this.rows, columns: this.columns, board: matrix, score: this.score, highScore: this.highScore };
+    var state = {
+      rows: this.rows, columns: this.columns, board: this.getMatrix(), score: this.score, highScore: this.highScore,
+      seed: this.seed, rng: this.rngState, moves: this.moves,
+      won: this.won, playMs: this.playMs, coinsEarned: this.coinsEarned
+    };
     localStorage.setItem(this.stateKey, JSON.stringify(state));
   } catch (e) { console.warn("Failed to save game state:", e); }
 };
@@ -451,25 +558,18 @@ Game.prototype.loadState = function () {
     if (!saved) return false;
 
     var state = JSON.parse(saved);
-    if (!state || !Array.isArray(state.board)) return false;
-
-    $(".grid").empty();
-    $(".tile-container").empty();
-    this.board = [];
-    this.initBoard();
-
-    for (var x = 0; x < state.rows; x++) {
-      for (var y = 0; y < state.columns; y++) {
-        var value = state.board[x][y];
-        if (value > 0) {
-          var t = new Tile(x, y, this);
-          t.value = value;
-        }
-      }
-    }
-    this.score = state.score || 0;
+    if (!state || !Array.isArray(state.board) || state.rows !== this.rows || state.columns !== this.columns) return false;
+
+    this.restoreMatrix(state.board, state.score);
+    // Saves from before seeded games keep playing on a fresh stream, without a replay
+    var seeded = typeof state.seed === "number" && typeof state.rng === "number";
+    this.seed = seeded ? state.seed : null;
+    this.rngState = seeded ? state.rng : newSeed();
+    this.moves = seeded && typeof state.moves === "string" ? state.moves : "";
+    this.won = !!state.won;
+    this.playMs = Number(state.playMs) || 0;
+    this.coinsEarned = Number(state.coinsEarned) || 0;
     this.highScore = state.highScore || (parseInt(localStorage.getItem(this.highScoreKey)) || 0);
-    $('[data-js="score"]').html(this.score.toString());
     $('[data-js="highScore"]').html(this.highScore.toString());
 
     return true;
@@ -479,13 +579,349 @@ Game.prototype.loadState = function () {
   }
 };
 
-/* ---------------- Tile ---------------- */
-function Tile(x, y, game) {
+/* ---------------- Win / game-over overlays ----------------
+   Drawn over the board; any board rebuild (undo, redo, new game) clears them. */
+var IDLE_CAP_MS = 30000; // longer pauses between moves count as 30s of play
+
+function formatDuration(ms) {
+  var sec = Math.floor(ms / 1000), h = Math.floor(sec / 3600), m = Math.floor(sec / 60) % 60, s = sec % 60;
+  var pad = function (n) { return (n < 10 ? "0" : "") + n; };
+  return (h ? h + ":" + pad(m) : m) + ":" + pad(s);
+}
+
+// Share text; the code (seed + result) also works as a challenge in the replay viewer
+Game.prototype.resultText = function () {
+  var best = maxTile(this.model);
+  var text = "2048 " + this.rows + "×" + this.rows + (this.target ? "" : " endless") + ": " + this.score + " points, " + best + " tile";
+  return this.seed == null ? text : text + " — beat it on the same spawns: " + resultCode(this.rows, this.target, this.seed, this.score, best);
+};
+
+Game.prototype.showOverlay = function (kind) {
+  var self = this, won = kind === "won";
+  var stats = [
+    ["moves", "Moves", this.moves.length],
+    ["time", "Time", formatDuration(this.playMs)],
+    ["tile", "Largest tile", maxTile(this.model)],
+    ["coins", "Coins earned", this.coinsEarned]
+  ];
+  var code = this.seed == null ? "" : resultCode(this.rows, this.target, this.seed, this.score, maxTile(this.model));
+  var buttons = won
+    ? '<button type="button" data-overlay="continue" class="controls_game-btn">Keep going</button>' +
+      '<button type="button" data-overlay="newGame" class="controls_game-btn">New game</button>'
+    : (this.journal && this.journal.past.length
+        ? '<button type="button" data-overlay="undo" class="controls_game-btn">Undo (' + UNDO_PRICE + ' coins)</button>' : "") +
+      '<button type="button" data-overlay="newGame" class="controls_game-btn">New game</button>' +
+      '<button type="button" data-overlay="share" class="controls_game-btn">Share</button>';
+
+  this.hideOverlay();
+  var overlay = $(`
+    <div class="game-overlay ${kind}" role="dialog" aria-label="${won ? "You won" : "Game over"}">
+      <strong class="game-overlay-title">${won ? "You won! 🎉" : "Game over"}</strong>
+      <span class="game-overlay-score">${this.score} points</span>
+      <dl class="game-overlay-stats">
+        ${stats.map(function (st) { return '<div><dt>' + st[1] + '</dt><dd data-stat="' + st[0] + '">' + st[2] + "</dd></div>"; }).join("")}
+      </dl>
+      ${!won && code ? '<input class="game-overlay-code" readonly aria-label="Result code" value="' + code + '">' : ""}
+      <div class="game-overlay-actions">${buttons}</div>
+    </div>`);
+  overlay.appendTo("#touchGameboard");
+  this.paused = won;
+
+  overlay.find('[data-overlay="continue"]').on("click", function () { self.hideOverlay(); });
+  overlay.find('[data-overlay="newGame"]').on("click", function () { $('[data-js="newGame"]').trigger("click"); });
+  overlay.find('[data-overlay="undo"]').on("click", function () { $('[data-js="undo"]').trigger("click"); });
+  overlay.find('[data-overlay="share"]').on("click", function () { self.shareResult(); });
+  overlay.find(".game-overlay-code").on("focus", function () { this.select(); });
+};
+Game.prototype.hideOverlay = function () {
+  $(".game-overlay").remove();
+  this.paused = false;
+};
+
+Game.prototype.shareResult = async function () {
+  var text = this.resultText();
+  try {
+    if (navigator.share) { await navigator.share({ text: text }); return; }
+    await navigator.clipboard.writeText(text);
+    Coins.toast("Result copied to the clipboard.");
+  } catch (e) {
+    if (e && e.name === "AbortError") return; // share sheet dismissed
+    $(".game-overlay-code").trigger("focus");
+    Coins.toast("Copy the code above to share your result.");
+  }
+};
+
+/* ---------------- Hints + autoplay ----------------
+   Expectimax search (2048-ai.js) runs in a module worker so tile animations never wait on it. */
+var HINT_PRICE = 25;
+var AUTOPLAY_PRICE = 10; // per move
+var HINT_SHOW_MS = 1500;
+var ARROWS = { up: "↑", right: "→", down: "↓", left: "←" };
+
+var engine = { worker: null, seq: 0, pending: {} };
+
+// Resolves the recommended direction for a value matrix (null when no move is left)
+function askEngine(board) {
+  if (!engine.worker) {
+    engine.worker = new Worker(new URL("./2048-ai.worker.js", import.meta.url), { type: "module" });
+    engine.worker.onmessage = function (e) {
+      var job = engine.pending[e.data.id];
+      delete engine.pending[e.data.id];
+      if (job) job.resolve(e.data.dir);
+    };
+    engine.worker.onerror = function (e) {
+      Object.keys(engine.pending).forEach(function (id) { engine.pending[id].reject(e); });
+      engine.pending = {};
+      engine.worker.terminate();
+      engine.worker = null;
+    };
+  }
+  var id = ++engine.seq;
+  return new Promise(function (resolve, reject) {
+    engine.pending[id] = { resolve: resolve, reject: reject };
+    engine.worker.postMessage({ id: id, board: board });
+  });
+}
+
+function spendFailedToast(res, what) {
+  if (res && res.reason === "insufficient") Coins.toast("Not enough coins for " + what + ".");
+  else if (res && res.reason === "limit") Coins.toast("Daily 2048 spending limit reached.");
+  else Coins.toast("Could not process coin spend. Please try again.");
+}
+
+Game.prototype.showHint = function (dir) {
+  $(".hint-arrow").remove();
+  var arrow = $('<div class="hint-arrow" aria-live="polite"></div>').attr("data-dir", dir).text(ARROWS[dir]);
+  arrow.attr("aria-label", "Hint: move " + dir).appendTo("#touchGameboard");
+  setTimeout(function () { arrow.remove(); }, HINT_SHOW_MS);
+};
+
+Game.prototype.hint = async function () {
+  var board = this.getMatrix(), key = JSON.stringify(board);
+  try {
+    var dir = await askEngine(board);
+    if (!dir) { Coins.toast("No moves left."); return; }
+    // The board changed while the engine was thinking: the hint is stale, so it is not charged
+    if (window.game !== this || JSON.stringify(this.model) !== key) return;
+    var res = await Coins.spend(HINT_PRICE, "Hint", { source: "2048" });
+    if (res && res.ok) this.showHint(dir);
+    else spendFailedToast(res, "a hint (" + HINT_PRICE + ")");
+  } catch (e) {
+    console.warn("Hint failed:", e);
+    Coins.toast("Hint engine error. Please try again.");
+  }
+};
+
+// Resolves once the current move animation (if any) has finished
+Game.prototype.whenIdle = function () {
+  var self = this;
+  return new Promise(function (resolve) {
+    (function check() { if (self.moveInProgress) setTimeout(check, 30); else resolve(); })();
+  });
+};
+
+Game.prototype.autoplay = async function (n) {
+  var price = n * AUTOPLAY_PRICE, played = 0;
+  var select = $('[data-js="autoplay"]');
+  this.autoplaying = true;
+  select.prop("disabled", true);
+  try {
+    var res = await Coins.spend(price, "Autoplay (" + n + " moves)", { source: "2048" });
+    if (!res || !res.ok) { spendFailedToast(res, "autoplay (" + price + ")"); return; }
+    while (played < n && this.autoplaying && window.game === this) {
+      await this.whenIdle();
+      var dir = await askEngine(this.getMatrix());
+      if (!dir || !this.autoplaying || window.game !== this || this.moveInProgress) break;
+      if (!this.move(dir)) break;
+      played++;
+    }
+    await this.whenIdle();
+    if (played < n) {
+      var unused = n - played;
+      await Coins.refund(unused * AUTOPLAY_PRICE, "Refund: autoplay (" + unused + " moves unused)", { source: "2048" });
+    }
+  } catch (e) {
+    console.warn("Autoplay failed:", e);
+    Coins.toast("Autoplay stopped after an error.");
+  } finally {
+    this.autoplaying = false;
+    select.prop("disabled", false);
+  }
+};
+
+/* ---------------- Replays ----------------
+   A game is its mode, seed and move list: 2048-core re-runs it frame by frame.
+   Finished games (New Game) are archived, newest first, under REPLAYS_KEY. */
+var REPLAYS_KEY = "2048_replays";
+var REPLAYS_MAX = 10;
+var REPLAY_SPEEDS = { 1: 500, 2: 250, 4: 120 }; // ms per move
+
+function readReplays() {
+  var list = null;
+  try { list = JSON.parse(localStorage.getItem(REPLAYS_KEY)); } catch (e) {}
+  return Array.isArray(list) ? list : [];
+}
+Game.prototype.replayRecord = function () {
+  if (this.seed == null) return null;
+  return {
+    size: this.rows, target: this.target, seed: this.seed, moves: this.moves,
+    score: this.score, maxTile: maxTile(this.getMatrix()), endedAt: Date.now()
+  };
+};
+Game.prototype.archiveReplay = function () {
+  var rec = this.replayRecord();
+  if (!rec || !rec.moves.length) return;
+  try { localStorage.setItem(REPLAYS_KEY, JSON.stringify([rec].concat(readReplays()).slice(0, REPLAYS_MAX))); }
+  catch (e) { console.warn("Failed to archive replay:", e); }
+};
+
+var replay = { el: null, frames: [], rec: null, index: 0, timer: null };
+
+function ensureReplayModal() {
+  if (replay.el) return;
+  var backdrop = $('<div class="coin-modal-backdrop"></div>').on("click", closeReplay);
+  var modal = $(`
+    <div class="coin-modal replay-modal" role="dialog" aria-label="Replay">
+      <header>
+        <strong>🎬 Replay</strong>
+        <button type="button" aria-label="Close" data-replay="close" class="coin-badge">✕</button>
+      </header>
+      <div class="coin-body">
+        <select data-replay="source" class="replay-select" aria-label="Game to replay"></select>
+        <div data-replay="board" class="replay-board"></div>
+        <div data-replay="status" class="replay-status"></div>
+        <input data-replay="scrub" type="range" min="0" value="0" class="replay-scrub" aria-label="Move">
+        <div class="replay-controls">
+          <button type="button" data-replay="first" class="coin-badge" aria-label="First move">⏮</button>
+          <button type="button" data-replay="prev" class="coin-badge" aria-label="Previous move">◀</button>
+          <button type="button" data-replay="play" class="coin-badge" aria-label="Play">▶</button>
+          <button type="button" data-replay="next" class="coin-badge" aria-label="Next move">▶|</button>
+          <button type="button" data-replay="last" class="coin-badge" aria-label="Last move">⏭</button>
+          <select data-replay="speed" class="replay-select" aria-label="Speed">
+            <option value="1">1×</option><option value="2">2×</option><option value="4">4×</option>
+          </select>
+        </div>
+        <div class="replay-seed">
+          <label>Seed <input data-replay="code" readonly></label>
+          <button type="button" data-replay="playSeed" class="coin-badge">Play this seed</button>
+        </div>
+        <div class="replay-seed">
+          <label>Challenge <input data-replay="challenge" placeholder="4x4-2048-…" spellcheck="false"></label>
+          <button type="button" data-replay="playCode" class="coin-badge">Play</button>
+        </div>
+      </div>
+    </div>`);
+  $("body").append(backdrop, modal);
+  replay.el = modal;
+  replay.backdrop = backdrop;
+
+  var q = function (name) { return modal.find('[data-replay="' + name + '"]'); };
+  q("close").on("click", closeReplay);
+  q("source").on("change", function () { loadReplay(replay.sources[this.value]); });
+  q("scrub").on("input", function () { stopReplay(); showFrame(parseInt(this.value, 10)); });
+  q("first").on("click", function () { stopReplay(); showFrame(0); });
+  q("prev").on("click", function () { stopReplay(); showFrame(replay.index - 1); });
+  q("next").on("click", function () { stopReplay(); showFrame(replay.index + 1); });
+  q("last").on("click", function () { stopReplay(); showFrame(replay.frames.length - 1); });
+  q("play").on("click", function () { replay.timer ? stopReplay() : playReplay(); });
+  q("speed").on("change", function () { if (replay.timer) { stopReplay(); playReplay(); } });
+  q("playSeed").on("click", function () { if (replay.rec) startSeed(replay.rec); });
+  q("playCode").on("click", function () {
+    var parsed = parseSeedCode(q("challenge").val());
+    if (!parsed) { Coins.toast("That is not a valid seed code."); return; }
+    startSeed(parsed);
+  });
+}
+
+function openReplay(game) {
+  ensureReplayModal();
+  var sources = [], labels = [];
+  var current = game.replayRecord();
+  if (current) { sources.push(current); labels.push("Current game"); }
+  readReplays().forEach(function (rec) {
+    sources.push(rec);
+    labels.push(rec.size + "×" + rec.size + " • " + (rec.target || "Endless") + " • " + rec.score + " pts • " +
+      new Date(rec.endedAt).toLocaleDateString());
+  });
+  replay.sources = sources;
+  replay.el.find('[data-replay="source"]').html(labels.map(function (label, i) {
+    return '<option value="' + i + '">' + label + "</option>";
+  }).join("")).prop("disabled", !sources.length);
+  replay.backdrop.show(); replay.el.show();
+  loadReplay(sources[0] || null);
+}
+function closeReplay() {
+  stopReplay();
+  if (replay.el) { replay.el.hide(); replay.backdrop.hide(); }
+}
+
+function loadReplay(rec) {
+  stopReplay();
+  replay.rec = rec;
+  replay.frames = rec ? replayFrames(rec.size, rec.seed, rec.moves) : [];
+  replay.el.find('[data-replay="board"]')[0].style.setProperty("--grid-n", rec ? rec.size : 4);
+  replay.el.find('[data-replay="scrub"]').attr("max", Math.max(replay.frames.length - 1, 0));
+  replay.el.find('[data-replay="code"]').val(rec ? seedCode(rec.size, rec.target, rec.seed) : "");
+  replay.el.find('[data-replay="playSeed"]').prop("disabled", !rec);
+  if (!rec) {
+    replay.el.find('[data-replay="board"]').empty();
+    replay.el.find('[data-replay="status"]').text("No replay yet — games started before seeded play can't be replayed.");
+    return;
+  }
+  showFrame(0);
+}
+
+function showFrame(i) {
+  if (!replay.frames.length) return;
+  i = Math.max(0, Math.min(replay.frames.length - 1, i));
+  replay.index = i;
+  var frame = replay.frames[i], n = replay.rec.size, cells = [];
+  // board is column-major; the grid fills row by row
+  for (var y = 0; y < n; y++) {
+    for (var x = 0; x < n; x++) {
+      var v = frame.board[x][y];
+      var isSpawn = frame.spawn && frame.spawn.x === x && frame.spawn.y === y;
+      cells.push('<div class="replay-cell' + (isSpawn ? " spawn" : "") + '">' +
+        (v ? '<span class="tile_number" data-value="' + v + '">' + v + "</span>" : "") + "</div>");
+    }
+  }
+  replay.el.find('[data-replay="board"]').html(cells.join(""));
+  replay.el.find('[data-replay="scrub"]').val(i);
+  replay.el.find('[data-replay="status"]').text(
+    "Move " + i + " / " + (replay.frames.length - 1) + (frame.dir ? " • " + frame.dir : "") + " • Score " + frame.score);
+}
+
+function playReplay() {
+  if (replay.index >= replay.frames.length - 1) showFrame(0);
+  var speed = REPLAY_SPEEDS[replay.el.find('[data-replay="speed"]').val()] || REPLAY_SPEEDS[1];
+  replay.el.find('[data-replay="play"]').text("⏸").attr("aria-label", "Pause");
+  replay.timer = setInterval(function () {
+    if (replay.index >= replay.frames.length - 1) return stopReplay();
+    showFrame(replay.index + 1);
+  }, speed);
+}
+function stopReplay() {
+  clearInterval(replay.timer);
+  replay.timer = null;
+  if (replay.el) replay.el.find('[data-replay="play"]').text("▶").attr("aria-label", "Play");
+}
+
+// Switch to the seed's mode and start it fresh; the game in progress is archived first
+function startSeed(rec) {
+  closeReplay();
+  if (window.game) window.game.archiveReplay();
+  localStorage.setItem(MODE_KEY, JSON.stringify({ size: rec.size, target: rec.target }));
+  gameStart(rec.seed);
+  Coins.toast("Playing seed " + seedCode(rec.size, rec.target, rec.seed));
+}
+
+/* ---------------- Tile ----------------
+   View of one board value; the game moves it to the cells the core computed. */
+function Tile(x, y, game, value) {
   this.game = game;
   this.x = x;
   this.y = y;
-  this.valueProp = Math.random() < 0.3 ? 4 : 2;
-  this.canMove = false;
+  this.valueProp = value;
 
   Object.defineProperties(this, {
     value: {
@@ -501,23 +937,18 @@ function Tile(x, y, game) {
 }
 Tile.prototype.initialize = function () {
   var getTile = $.parseHTML($("#template_tile").html());
-  this.el = $(getTile);
+  this.el = $(getTile).filter(".tile"); // drop the template's whitespace text nodes
   this.el.find(".tile_number").html(this.valueProp).attr("data-value", this.valueProp);
-  this.setPosition(this.x, this.y);
   this.animatePosition(true);
   this.el.appendTo(".tile-container");
 };
-Tile.prototype.setPosition = function (x, y) {
+Tile.prototype.moveTo = function (x, y) {
   this.x = x; this.y = y;
-  this.game.board[x][y].tilesArray.push(this);
-};
-Tile.prototype.removeOldPosition = function (x, y) {
-  this.game.board[x][y].tilesArray.pop();
+  return this.animatePosition();
 };
 Tile.prototype.animatePosition = function (initializeFlag) {
   var self = this;
-  var fromLeft = this.x * 25 + "%";
-  var fromTop = this.y * 25 + "%";
+  var fromLeft = this.x, fromTop = this.y; // grid units; CSS scales by --grid-n
   var animationDuration = 175;
   var getPromise = $.Deferred();
 
@@ -530,43 +961,11 @@ Tile.prototype.animatePosition = function (initializeFlag) {
   }
   function setPosition() {
     self.el.addClass("animate");
-    self.el.attr({ "data-x": fromLeft, "data-y": fromTop });
+    self.el[0].style.setProperty("--x", fromLeft);
+    self.el[0].style.setProperty("--y", fromTop);
   }
 
   setPosition();
   setTimeout(resolvePromise, initializeFlag ? animationDuration + 50 : animationDuration);
   return getPromise;
 };
-Tile.prototype.moveCheck = function () {
-  return (
-    this.move("up", true) ||
-    this.move("right", true) ||
-    this.move("down", true) ||
-    this.move("left", true)
-  ) ? (this.canMove = true) : (this.canMove = false);
-};
-Tile.prototype.move = function (getDirection, checkFlag) {
-  checkFlag = !!checkFlag;
-  var direction = getDirection.toLowerCase();
-  var getX = this.x, getY = this.y;
-  var nx = getX, ny = getY;
-
-  if (direction === "up") ny--;
-  else if (direction === "down") ny++;
-  else if (direction === "left") nx--;
-  else if (direction === "right") nx++;
-
-  if (nx < 0 || ny < 0 || nx >= 4 || ny >= 4) return false;
-
-  var getNext = this.game.board[nx][ny];
-  var isNextMatch = getNext.tilesArray.length === 1 && getNext.tilesArray[0].valueProp === this.valueProp;
-  var isNextEmpty = getNext.tilesArray.length === 0;
-
-  if (checkFlag) return isNextEmpty || isNextMatch;
-
-  if (isNextEmpty || isNextMatch) {
-    this.setPosition(nx, ny);
-    this.removeOldPosition(getX, getY);
-    if (!isNextMatch) this.move(direction);
-  }
-};
@@ -0,0 +1,160 @@
+// js/achievements.js
+// Site-wide achievements (ES module)
+// - Games report events (Achievements.report('tetris.clear', { lines: 4 })); matching entries unlock once
+// - Unlocks are stored in the coins meta store (IndexedDB), so backups carry them
+// - Unlock toasts use the coins toaster (fullscreen-safe); optional coin rewards, source 'achievements'
+// - Trophy badge next to the coin badge opens the gallery
+
+import { Coins } from './coins.js';
+
+export const Achievements = (() => {
+  // ---------- Config ----------
+  const META_KEY = 'achievements';
+  const LOCK_NAME = 'coins-achievements';
+  const GAMES = { '2048': '2048', tetris: 'Tetris', sudoku: 'Sudoku', highlow: 'High–Low', tower: 'Tower Stack' };
+
+  // { id, game, event, test(data), title, description, icon, reward? }
+  const LIST = [
+    { id: '2048-tile-512', game: '2048', event: '2048.tile', test: d => d.value >= 512, icon: '🧩', title: 'Getting There', description: 'Create a 512 tile' },
+    { id: '2048-tile-2048', game: '2048', event: '2048.tile', test: d => d.value >= 2048, icon: '🏅', title: '2048!', description: 'Create a 2048 tile', reward: 200 },
+    { id: 'tetris-tetris', game: 'tetris', event: 'tetris.clear', test: d => d.lines >= 4, icon: '🟦', title: 'Tetris!', description: 'Clear 4 lines with one piece', reward: 100 },
+    { id: 'sudoku-solved', game: 'sudoku', event: 'sudoku.solved', test: () => true, icon: '✏️', title: 'Solved', description: 'Solve any Sudoku' },
+    { id: 'sudoku-no-hints', game: 'sudoku', event: 'sudoku.solved', test: d => d.size === 9 && d.hintsUsed === 0, icon: '🧠', title: 'Pure Logic', description: 'Solve a 9×9 Sudoku without hints', reward: 150 },
+    { id: 'highlow-streak-3', game: 'highlow', event: 'highlow.cashout', test: d => d.streak >= 3, icon: '🃏', title: 'Hot Hand', description: 'Cash out after a 3-win streak', reward: 50 },
+    { id: 'tower-perfect-10', game: 'tower', event: 'tower.perfect', test: d => d.count >= 10, icon: '🏗️', title: 'Steady Hands', description: '10 perfect placements in one game', reward: 100 },
+  ];
+
+  // ---------- State ----------
+  let unlocked = {}; // id -> unlock ts
+  let loading = null;
+  let badgeBtn, backdrop, modal;
+  const nf = new Intl.NumberFormat();
+
+  // ---------- Utilities ----------
+  const byId = (id) => document.getElementById(id);
+  const countUnlocked = () => LIST.filter(a => unlocked[a.id]).length;
+
+  async function load() {
+    const v = await Coins.getMeta(META_KEY);
+    unlocked = v?.unlocked && typeof v.unlocked === 'object' ? { ...v.unlocked } : {};
+    updateBadge();
+    return unlocked;
+  }
+  const ready = () => (loading ??= load());
+
+  // Serialize unlocks across tabs so a reward is never paid twice
+  let lockQueue = Promise.resolve();
+  function withLock(fn) {
+    if (navigator.locks?.request) return navigator.locks.request(LOCK_NAME, () => fn());
+    const run = lockQueue.then(() => fn());
+    lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  // ---------- Reporting ----------
+  // Resolves the ids unlocked by this event (usually none). The unlock is saved before
+  // the reward is paid: a failed payout costs a reward, never pays one twice.
+  async function report(event, data = {}) {
+    await ready();
+    const hits = LIST.filter(a => a.event === event && !unlocked[a.id] && a.test(data));
+    if (!hits.length) return [];
+    return withLock(async () => {
+      await load(); // another tab may have unlocked these meanwhile
+      const fresh = hits.filter(a => !unlocked[a.id]);
+      if (!fresh.length) return [];
+      const ts = Date.now();
+      fresh.forEach(a => { unlocked[a.id] = ts; });
+      await Coins.setMeta(META_KEY, { unlocked });
+      updateBadge();
+      for (const a of fresh) {
+        Coins.toast(`🏆 Achievement unlocked: ${a.title}`);
+        if (!a.reward) continue;
+        try { await Coins.add(a.reward, `Achievement: ${a.title}`, { source: 'achievements' }); }
+        catch (e) { console.warn('Achievement reward failed:', e); }
+      }
+      if (modal?.style.display === 'block') renderGallery();
+      return fresh.map(a => a.id);
+    });
+  }
+
+  // ---------- UI ----------
+  function mountBadge() {
+    const root = document.querySelector('#coin-ui-root') || document.querySelector('.site-header');
+    if (!root || badgeBtn) return;
+    badgeBtn = document.createElement('button');
+    badgeBtn.className = 'coin-badge ach-badge';
+    badgeBtn.type = 'button';
+    badgeBtn.setAttribute('aria-label', 'Achievements');
+    badgeBtn.addEventListener('click', openGallery);
+    // Always after the coin badge, which Coins prepends to the slot once its async init is done
+    const coinBadge = [...root.children].find(el => el.classList.contains('coin-badge') && !el.classList.contains('ach-badge'));
+    if (coinBadge) coinBadge.after(badgeBtn);
+    else root.appendChild(badgeBtn);
+    updateBadge();
+  }
+  function updateBadge() {
+    if (badgeBtn) badgeBtn.textContent = `🏆 ${countUnlocked()}/${LIST.length}`;
+  }
+
+  function ensureGallery() {
+    if (modal) return;
+    backdrop = document.createElement('div');
+    backdrop.className = 'coin-modal-backdrop';
+    backdrop.addEventListener('click', closeGallery);
+    modal = document.createElement('div');
+    modal.className = 'coin-modal ach-modal';
+    modal.innerHTML = `
+      <header>
+        <strong>🏆 Achievements</strong>
+        <button type="button" aria-label="Close" id="achClose" class="coin-badge">✕</button>
+      </header>
+      <div class="coin-body">
+        <div id="achSummary" class="coin-lifetime"></div>
+        <div id="achGrid" class="ach-grid"></div>
+      </div>`;
+    document.body.append(backdrop, modal);
+    byId('achClose').onclick = closeGallery;
+  }
+
+  function renderGallery() {
+    const earned = LIST.filter(a => unlocked[a.id]).reduce((t, a) => t + (a.reward || 0), 0);
+    byId('achSummary').textContent = `${countUnlocked()} of ${LIST.length} unlocked • ${nf.format(earned)} coins earned`;
+    byId('achGrid').innerHTML = Object.keys(GAMES).map(game => {
+      const items = LIST.filter(a => a.game === game);
+      if (!items.length) return '';
+      return `<h4>${GAMES[game]}</h4>` + items.map(a => {
+        const at = unlocked[a.id];
+        return `<div class="ach-card${at ? ' unlocked' : ''}">
+          <span class="ach-icon">${at ? a.icon : '🔒'}</span>
+          <div>
+            <strong>${a.title}</strong>
+            <div class="ach-desc">${a.description}</div>
+            <div class="ach-meta">${a.reward ? `+${nf.format(a.reward)} coins • ` : ''}${at ? `Unlocked ${new Date(at).toLocaleDateString()}` : 'Locked'}</div>
+          </div>
+        </div>`;
+      }).join('');
+    }).join('');
+  }
+
+  async function openGallery() {
+    ensureGallery();
+    await load();
+    backdrop.style.display = 'block'; modal.style.display = 'block';
+    renderGallery();
+  }
+  function closeGallery() { if (backdrop) backdrop.style.display = 'none'; if (modal) modal.style.display = 'none'; }
+
+  // ---------- Public API ----------
+  async function init({ ui = true } = {}) {
+    if (ui) mountBadge();
+    await ready();
+    // Unlocks from other tabs or a restored backup
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') load(); });
+  }
+
+  return {
+    init, report, openGallery,
+    isUnlocked: (id) => !!unlocked[id],
+    list: () => LIST.map(({ test, ...a }) => ({ ...a, unlockedAt: unlocked[a.id] || null })),
+  };
+})();
@@ -1,19 +1,24 @@
 // js/coins.js
 // Site-wide coin system (ES module)
 // - IndexedDB for transactions (capped to 10k) + localStorage balance cache
-// - Header badge, history modal (basic filters + paging), 2s toasts
+// - Meta store for per-feature state (daily streak, ...) included in backups
+// - Earn/spend are one locked read-modify-write: the ledger, not the cache, is the balance
+// - Header badge, history modal (basic filters + paging) + statistics tab, 2s toasts
 // - Public toast(), centered on screen, and FULLSCREEN-SAFE (reparents to top layer)
 
 export const Coins = (() => {
   // ---------- Config ----------
   const DB_NAME = 'coins-db';
-  const DB_VERSION = 1;
-  const STORE = 'tx'; // { seq(autoInc), ts, type:'earn'|'spend', amount, description, source, balanceAfter }
+  const DB_VERSION = 3; // v2: compound indexes for filtered, keyset-paged history; v3: meta store
+  const STORE = 'tx'; // { seq(autoInc), ts, type:'earn'|'spend'|'checkpoint', amount, description, source, balanceAfter }
+  const META_STORE = 'meta'; // { key, value, updatedAt } — per-feature state that travels with backups
   const HARD_CAP = 10_000;
 
   const BAL_KEY = 'coins_balance';
   const FALLBACK_LOG_KEY = 'coins_tx_fallback';
   const FALLBACK_CAP = 500;
+  const META_MIRROR_KEY = 'coins_meta';
+  const LOCK_NAME = 'coins-ledger';
 
   // ---------- State ----------
   let balance = Number(localStorage.getItem(BAL_KEY) || 0);
@@ -26,6 +31,10 @@ export const Coins = (() => {
   const now = () => Date.now();
   const byId = (id) => document.getElementById(id);
   const clampDesc = (d) => String(d ?? '').trim().slice(0, 140);
+  const delta = (v) => v.type === 'earn' ? v.amount : v.type === 'spend' ? -v.amount : 0; // checkpoints: 0
+  const openingOf = (v) => (Number(v.balanceAfter) || 0) - delta(v);
+  const DAY = 86_400_000;
+  const dayStart = (ts) => { const d = new Date(ts); return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime(); };
   const coinSVG = () =>
     `<svg viewBox="0 0 24 24" aria-hidden="true"><circle cx="12" cy="12" r="10" fill="#FFCF33"/><circle cx="12" cy="12" r="7.5" fill="none" stroke="rgba(0,0,0,.2)"/><text x="12" y="16" text-anchor="middle" font-size="11" font-weight="700" fill="#7A4">₵</text></svg>`;
 
@@ -66,6 +75,115 @@ export const Coins = (() => {
     try { localStorage.setItem('__coins_ping__', String(Math.random())); } catch {}
   }
 
+  // ---------- Economy ----------
+  // Games request rewards by event name (Coins.reward) instead of literal amounts.
+  // Multipliers and daily caps apply to rewards only — add() is for payouts such as
+  // High–Low cash-outs, which must never be scaled. Spend limits apply to every spend, net of
+  // refunds (Coins.refund) booked the same day, so a spend that is given back stops counting.
+  // The rule that applied is stored on the transaction as `rule`: { event, base, multiplier, ... }
+  // for rewards, { payout: true } for add(), { refund: true } for refund() and { spendLimit } for
+  // limited spends. Earnings with no rule predate the economy.
+  // 2048 milestones are relative to the mode's target (endless counts as 2048): a quarter
+  // of it pays 10, half 20, the target 100 and +100 per doubling past it. Smaller boards
+  // are harder and pay more; bigger targets pay more.
+  const SIZE_FACTOR_2048 = { 3: 4, 4: 1, 5: 0.5, 6: 0.35, 7: 0.25, 8: 0.2 };
+  function reward2048({ value, size = 4, target = 2048 }) {
+    const goal = target || 2048;
+    const base = value >= goal ? 100 * (1 + Math.log2(value / goal)) : value === goal / 2 ? 20 : value === goal / 4 ? 10 : 0;
+    return Math.max(1, Math.round(base * (SIZE_FACTOR_2048[size] ?? 1) * Math.sqrt(goal / 2048)));
+  }
+
+  // Notable Tetris clears pay a flat amount by kind, +5 back-to-back and +25 for a perfect clear.
+  const TETRIS_ACTIONS = {
+    tetris: 5, 'tspin-mini-single': 2, 'tspin-mini-double': 4,
+    'tspin-single': 4, 'tspin-double': 8, 'tspin-triple': 15,
+  };
+  function tetrisAction({ kind, b2b = false, perfect = false }) {
+    return (TETRIS_ACTIONS[kind] || 0) + (b2b ? 5 : 0) + (perfect ? 25 : 0);
+  }
+
+  // Tetris results for a finished mode: Sprint 40L by time, Ultra by score (5 + 1 per 1000, max 150),
+  // a full 150-line Marathon 200, a versus win by CPU level; +25 for a new personal best. Zen pays nothing.
+  const TETRIS_VERSUS = { easy: 20, medium: 50, hard: 120 };
+  function tetrisResult({ mode, ms = 0, score = 0, cpu = 'medium', best = false }) {
+    let base = 0;
+    if (mode === 'sprint') base = ms <= 60_000 ? 100 : ms <= 90_000 ? 60 : ms <= 120_000 ? 40 : ms <= 180_000 ? 25 : 10;
+    else if (mode === 'ultra') base = Math.min(150, 5 + Math.floor(score / 1000));
+    else if (mode === 'marathon') base = 200;
+    else if (mode === 'versus') base = TETRIS_VERSUS[cpu] || 0;
+    return base + (best ? 25 : 0);
+  }
+  function tetrisResultText({ mode, ms = 0, score = 0, cpu = 'medium' }) {
+    if (mode === 'sprint') return `Sprint 40L in ${(ms / 1000).toFixed(3)}s`;
+    if (mode === 'ultra') return `Ultra: ${score} points`;
+    if (mode === 'versus') return `Beat the ${cpu} CPU`;
+    return 'Marathon complete (150 lines)';
+  }
+
+  const ECONOMY = {
+    rewards: {
+      // params { value, size, target }; games only report values >= target / 4
+      '2048.tile': { source: '2048', amount: reward2048, description: ({ value, size = 4 }) => `Created ${value} tile (${size}×${size})` },
+      'tetris.level': { source: 'tetris', amount: ({ level }) => level * 10, description: ({ level }) => `Reached Level ${level}` },
+      // params { kind, b2b, perfect, label } for Tetris / T-spin clears and perfect clears
+      'tetris.action': { source: 'tetris', amount: tetrisAction, description: ({ label }) => label },
+      // params { mode, ms, score, best } when a Sprint, Ultra or Marathon reaches its goal or time limit
+      'tetris.result': { source: 'tetris', amount: tetrisResult, description: tetrisResultText },
+    },
+    // Per-game multipliers, e.g. { tetris: 1.5 }
+    multipliers: {},
+    // Time-boxed multipliers: { id, label, multiplier, weekdays?: [0-6], from?, to? (ISO), sources?, enabled? }
+    events: [
+      { id: 'double-weekend', label: 'Double coins weekend', multiplier: 2, weekdays: [6, 0], enabled: false },
+    ],
+    dailyEarnCap: { '2048': 1000, tetris: 2000, sudoku: 500 },
+    dailySpendLimit: { '2048': 2000, highlow: 10_000 },
+  };
+
+  function activeEvents(source, ts = now()) {
+    return ECONOMY.events.filter(e => e.enabled !== false
+      && (!e.weekdays || e.weekdays.includes(new Date(ts).getDay()))
+      && (!e.from || ts >= Date.parse(e.from))
+      && (!e.to || ts <= Date.parse(e.to))
+      && (!e.sources || !source || e.sources.includes(source)));
+  }
+
+  // Today's reward earnings, spends and refunds for the draft's source
+  function todaysTotals(rows, source, ts) {
+    const from = dayStart(ts);
+    return rows.reduce((t, v) => {
+      if (v.source !== source || v.ts < from) return t;
+      if (v.type === 'earn' && v.rule?.event) t.rewarded += v.amount;
+      else if (v.type === 'earn' && v.rule?.refund) t.refunded += v.amount;
+      else if (v.type === 'spend') t.spent += v.amount;
+      return t;
+    }, { rewarded: 0, spent: 0, refunded: 0 });
+  }
+  const needsToday = (d) => !!d.source && (d.type === 'spend'
+    ? ECONOMY.dailySpendLimit[d.source] != null
+    : !!d.rule?.event && ECONOMY.dailyEarnCap[d.source] != null);
+
+  // -> { draft } with the final amount/rule, or { reason: 'cap' | 'limit' }
+  function applyEconomy(draft, today) {
+    const { source } = draft;
+    if (draft.type === 'spend') {
+      const limit = ECONOMY.dailySpendLimit[source];
+      if (limit == null) return { draft };
+      if (Math.max(0, today.spent - today.refunded) + draft.amount > limit) return { reason: 'limit' };
+      return { draft: { ...draft, rule: { spendLimit: limit } } };
+    }
+    if (!draft.rule?.event) return { draft };
+    const events = activeEvents(source, draft.ts);
+    const multiplier = (ECONOMY.multipliers[source] ?? 1) * events.reduce((m, e) => m * e.multiplier, 1);
+    let amount = Math.round(draft.rule.base * multiplier);
+    const cap = ECONOMY.dailyEarnCap[source];
+    const capped = cap != null && today.rewarded + amount > cap;
+    if (capped) amount = cap - today.rewarded;
+    if (amount <= 0) return { reason: 'cap' };
+    const rule = { ...draft.rule, multiplier, events: events.map(e => e.id), ...(capped && { cap }) };
+    return { draft: { ...draft, amount, rule } };
+  }
+
   // ---------- IndexedDB ----------
   function openDB() {
     return new Promise((resolve, reject) => {
@@ -73,20 +191,27 @@ export const Coins = (() => {
       const req = indexedDB.open(DB_NAME, DB_VERSION);
       req.onupgradeneeded = () => {
         const db = req.result;
-        if (!db.objectStoreNames.contains(STORE)) {
-          const s = db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
-          s.createIndex('ts', 'ts', { unique: false });
-          s.createIndex('type', 'type', { unique: false });
-        }
+        const s = db.objectStoreNames.contains(STORE)
+          ? req.transaction.objectStore(STORE)
+          : db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+        if (!s.indexNames.contains('ts')) s.createIndex('ts', 'ts', { unique: false });
+        if (!s.indexNames.contains('type')) s.createIndex('type', 'type', { unique: false });
+        if (!s.indexNames.contains('type_ts')) s.createIndex('type_ts', ['type', 'ts'], { unique: false });
+        if (!s.indexNames.contains('source_ts')) s.createIndex('source_ts', ['source', 'ts'], { unique: false });
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => db.close(); // don't block an upgrade opened by a newer tab
+        resolve(db);
       };
-      req.onsuccess = () => resolve(req.result);
       req.onerror = () => reject(req.error);
     });
   }
-  function withStore(mode, fn) {
+  function withStore(mode, fn, name = STORE) {
     return openDB().then(db => new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE, mode);
-      const store = tx.objectStore(STORE);
+      const tx = db.transaction(name, mode);
+      const store = tx.objectStore(name);
       let result;
       Promise.resolve(fn(store)).then(r => { result = r; })
         .catch(reject);
@@ -101,79 +226,537 @@ export const Coins = (() => {
     try { return await withStore('readonly', (s) => reqToPromise(s.count())); }
     catch { return 0; }
   }
-  function trimOldest(n) {
-    if (n <= 0) return Promise.resolve(0);
+  // Per-source earn/spend totals; a checkpoint row carries the totals of everything it replaced
+  function addToTotals(totals, v) {
+    if (v.type === 'checkpoint') {
+      for (const [src, t] of Object.entries(v.checkpoint?.totals || {})) {
+        const acc = totals[src] ||= { earned: 0, spent: 0, earnCount: 0, spendCount: 0 };
+        acc.earned += t.earned; acc.spent += t.spent; acc.earnCount += t.earnCount; acc.spendCount += t.spendCount;
+      }
+      return totals;
+    }
+    const acc = totals[v.source || 'other'] ||= { earned: 0, spent: 0, earnCount: 0, spendCount: 0 };
+    if (v.type === 'earn') { acc.earned += v.amount; acc.earnCount++; }
+    else if (v.type === 'spend') { acc.spent += v.amount; acc.spendCount++; }
+    return totals;
+  }
+
+  // Fold the n oldest rows (including any previous checkpoint) into one checkpoint row.
+  // It reuses the seq/ts of the last folded row, so the balanceAfter chain stays intact.
+  function foldOldest(n) {
+    if (n <= 1) return Promise.resolve(0);
     return withStore('readwrite', (s) => new Promise((resolve, reject) => {
-      let deleted = 0;
+      const folded = [];
       const c = s.openCursor(); // oldest-first
       c.onsuccess = () => {
         const cur = c.result;
-        if (cur && deleted < n) {
+        if (cur && folded.length < n) {
+          folded.push(cur.value);
           s.delete(cur.primaryKey);
-          deleted++;
           cur.continue();
-        } else resolve(deleted);
+          return;
+        }
+        if (!folded.length) { resolve(0); return; }
+        const first = folded[0], last = folded.at(-1);
+        const prior = first.type === 'checkpoint' ? first.checkpoint : null;
+        const rows = folded.reduce((k, v) => k + (v.type === 'checkpoint' ? v.checkpoint.rows : 1), 0);
+        const checkpoint = {
+          openingBalance: prior ? prior.openingBalance : openingOf(first),
+          from: prior ? prior.from : first.ts,
+          to: last.ts,
+          rows,
+          totals: folded.reduce(addToTotals, {}),
+        };
+        s.put({
+          seq: last.seq, ts: last.ts, type: 'checkpoint', amount: 0,
+          description: `Checkpoint: ${nf.format(rows)} older transactions`,
+          balanceAfter: last.balanceAfter, checkpoint,
+        });
+        resolve(folded.length);
       };
       c.onerror = () => reject(c.error);
     }));
   }
-  async function insertTxn(txn) {
-    try {
-      await withStore('readwrite', (s) => reqToPromise(s.add(txn)));
-      const c = await countStore();
-      if (c > HARD_CAP) await trimOldest(c - HARD_CAP);
-    } catch (e) {
-      // fallback if IDB fails
-      fallbackAppend(txn);
-    }
+  async function trimToCap() {
+    const c = await countStore();
+    if (c > HARD_CAP) await foldOldest(c - HARD_CAP + 1); // +1: the checkpoint takes a row
   }
-  async function readHistory({ offset = 0, limit = 25, type = 'all', search = '', since, until } = {}) {
-    const items = [];
-    let total = 0;
-    try {
-      await withStore('readonly', (s) => new Promise((resolve, reject) => {
-        const req = s.openCursor(null, 'prev'); // newest-first
-        let skipped = 0;
-        const q = search?.toLowerCase().trim();
-        req.onsuccess = () => {
-          const cur = req.result;
-          if (!cur) { resolve(); return; }
-          const v = cur.value;
-          if (type !== 'all' && v.type !== type) { cur.continue(); return; }
-          if (since && v.ts < since) { cur.continue(); return; }
-          if (until && v.ts > until) { cur.continue(); return; }
-          if (q && !(`${v.description} ${v.source || ''}`.toLowerCase().includes(q))) { cur.continue(); return; }
-          total++;
-          if (skipped < offset) { skipped++; cur.continue(); return; }
-          if (items.length < limit) items.push(v);
-          cur.continue();
+
+  // Balance to start from when the IDB ledger is empty (first run, or older
+  // installs that only ever wrote the fallback log / cache).
+  function seedBalance() {
+    const last = fallbackRead().at(-1);
+    if (last && Number.isFinite(Number(last.balanceAfter))) return Number(last.balanceAfter);
+    return Number(localStorage.getItem(BAL_KEY) || 0);
+  }
+
+  // Read the newest row (and today's totals when a cap/limit applies), then append the
+  // next one inside ONE readwrite transaction, so checks and write can never interleave.
+  function appendTxn(input) {
+    return withStore('readwrite', (s) => new Promise((resolve, reject) => {
+      const req = s.openCursor(null, 'prev');
+      req.onsuccess = () => {
+        const last = req.result?.value;
+        const current = last ? (Number(last.balanceAfter) || 0) : seedBalance();
+        const commit = ({ draft, reason }) => {
+          if (reason) { resolve({ ok: false, reason, balance: current }); return; }
+          const next = current + delta(draft);
+          if (next < 0) { resolve({ ok: false, reason: 'insufficient', balance: current }); return; }
+          const txn = { ...draft, balanceAfter: next };
+          const add = s.add(txn);
+          add.onsuccess = () => resolve({ ok: true, balance: next, txn: { ...txn, seq: add.result } });
+          add.onerror = () => reject(add.error);
         };
-        req.onerror = () => reject(req.error);
-      }));
-      return { items, total };
+        if (!needsToday(input)) { commit(applyEconomy(input, null)); return; }
+        const today = s.index('source_ts').getAll(IDBKeyRange.bound([input.source, dayStart(input.ts)], [input.source, Infinity]));
+        today.onsuccess = () => commit(applyEconomy(input, todaysTotals(today.result, input.source, input.ts)));
+        today.onerror = () => reject(today.error);
+      };
+      req.onerror = () => reject(req.error);
+    }));
+  }
+  const countMatching = (req, match) => new Promise((resolve, reject) => {
+    let n = 0;
+    req.onsuccess = () => { const cur = req.result; if (!cur) { resolve(n); return; } if (match(cur.value)) n++; cur.continue(); };
+    req.onerror = () => reject(req.error);
+  });
+
+  // Newest-first page over an index key range: source_ts / type_ts / ts depending on the
+  // filters. `after` is the { ts, seq } of the previous page's last row (keyset paging),
+  // so page N never re-walks the rows before it; `next` is the anchor for the page after.
+  async function readHistory({ offset = 0, limit = 25, type = 'all', source = 'all', search = '', since, until, after } = {}) {
+    const q = search?.toLowerCase().trim();
+    const lo = since ?? -Infinity;
+    const hi = Math.min(until ?? Infinity, after ? after.ts : Infinity);
+    const byType = type && type !== 'all', bySource = source && source !== 'all';
+    const match = (v) => (!byType || v.type === type) && (!bySource || v.source === source)
+      && (!q || `${v.description} ${v.source || ''}`.toLowerCase().includes(q));
+    const toPage = (rows, total) => ({
+      items: rows.slice(0, limit), total,
+      next: rows.length > limit ? { ts: rows[limit - 1].ts, seq: rows[limit - 1].seq } : null,
+    });
+    try {
+      return await withStore('readonly', (s) => {
+        let index, keyOf;
+        if (bySource) { index = s.index('source_ts'); keyOf = (ts) => [source, ts]; }
+        else if (byType) { index = s.index('type_ts'); keyOf = (ts) => [type, ts]; }
+        else { index = s.index('ts'); keyOf = (ts) => ts; }
+        const end = until ?? Infinity;
+        // Only source+type together or a text search need a counting walk; otherwise count() is exact
+        const total = lo > end ? 0
+          : (q || (bySource && byType)) ? countMatching(index.openCursor(IDBKeyRange.bound(keyOf(lo), keyOf(end))), match)
+          : reqToPromise(index.count(IDBKeyRange.bound(keyOf(lo), keyOf(end))));
+        if (lo > hi) return Promise.resolve(total).then(t => toPage([], t));
+
+        const rows = new Promise((resolve, reject) => {
+          const out = [];
+          let skipped = 0;
+          const req = index.openCursor(IDBKeyRange.bound(keyOf(lo), keyOf(hi)), 'prev');
+          req.onsuccess = () => {
+            const cur = req.result;
+            if (!cur || out.length > limit) { resolve(out); return; }
+            const v = cur.value;
+            // Same-ts rows already shown on the previous page (prev order is seq-descending)
+            if (after && v.ts === after.ts && v.seq >= after.seq) { cur.continue(); return; }
+            if (match(v)) { if (skipped < offset) skipped++; else out.push(v); }
+            cur.continue();
+          };
+          req.onerror = () => reject(req.error);
+        });
+        return Promise.all([rows, total]).then(([r, t]) => toPage(r, t));
+      });
     } catch {
       // fallback read
       const list = fallbackRead().sort((a, b) => b.seq - a.seq);
-      const filtered = list.filter(v => {
-        if (type !== 'all' && v.type !== type) return false;
-        if (since && v.ts < since) return false;
-        if (until && v.ts > until) return false;
-        if (search && !(`${v.description} ${v.source || ''}`.toLowerCase().includes(search.toLowerCase()))) return false;
-        return true;
-      });
-      total = filtered.length;
-      return { items: filtered.slice(offset, offset + limit), total };
+      const filtered = list.filter(v => match(v) && v.ts >= lo && v.ts <= (until ?? Infinity));
+      const older = after ? filtered.filter(v => v.ts < after.ts || (v.ts === after.ts && v.seq < after.seq)) : filtered;
+      return toPage(older.slice(offset, offset + limit + 1), filtered.length);
     }
   }
 
+  // Distinct sources via the source_ts index, jumping one key range per source
+  function listSources() {
+    return withStore('readonly', (s) => new Promise((resolve, reject) => {
+      const out = [];
+      const req = s.index('source_ts').openKeyCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) { resolve(out); return; }
+        out.push(cur.key[0]);
+        cur.continue([cur.key[0], Infinity]);
+      };
+      req.onerror = () => reject(req.error);
+    })).catch(() => []);
+  }
+
   // ---------- Fallback (localStorage) ----------
   const fallbackRead = () => { try { return JSON.parse(localStorage.getItem(FALLBACK_LOG_KEY) || '[]'); } catch { return []; } };
   const fallbackWrite = (arr) => { try { localStorage.setItem(FALLBACK_LOG_KEY, JSON.stringify(arr)); } catch {} };
-  function fallbackAppend(txn) {
+  function fallbackAppend(input) {
+    // Same rules as appendTxn; the persisted cache (not this tab's memory) is the truth here
+    const current = Number(localStorage.getItem(BAL_KEY) || 0);
     const arr = fallbackRead();
-    arr.push({ ...txn, seq: (arr.at(-1)?.seq || 0) + 1 });
+    const { draft, reason } = applyEconomy(input, todaysTotals(arr, input.source, input.ts));
+    if (reason) return { ok: false, reason, balance: current };
+    const next = current + delta(draft);
+    if (next < 0) return { ok: false, reason: 'insufficient', balance: current };
+    const txn = { ...draft, balanceAfter: next, seq: (arr.at(-1)?.seq || 0) + 1 };
+    arr.push(txn);
     const excess = arr.length - FALLBACK_CAP; if (excess > 0) arr.splice(0, excess);
     fallbackWrite(arr);
+    return { ok: true, balance: next, txn };
+  }
+
+  // ---------- Meta (key/value state stored next to the ledger) ----------
+  // Features such as the daily streak keep their state here so a backup carries it.
+  // Writes go to IDB and to a localStorage mirror; reads take the newer of the two.
+  function mirrorRead() {
+    try { return JSON.parse(localStorage.getItem(META_MIRROR_KEY) || '{}') || {}; }
+    catch { return {}; }
+  }
+  function mirrorWrite(entry) {
+    try { localStorage.setItem(META_MIRROR_KEY, JSON.stringify({ ...mirrorRead(), [entry.key]: entry })); return true; }
+    catch { return false; }
+  }
+  const newer = (a, b) => (!a ? b : !b ? a : (b.updatedAt > a.updatedAt ? b : a));
+
+  async function getMeta(key) {
+    let row;
+    try { row = await withStore('readonly', (s) => reqToPromise(s.get(key)), META_STORE); } catch {}
+    return newer(row, mirrorRead()[key])?.value;
+  }
+  // Throws only when neither IDB nor the mirror took the write
+  async function setMeta(key, value) {
+    const entry = { key, value, updatedAt: now() };
+    let saved = mirrorWrite(entry);
+    try { await withStore('readwrite', (s) => reqToPromise(s.put(entry)), META_STORE); saved = true; } catch {}
+    if (!saved) throw new Error(`could not save "${key}"`);
+    return value;
+  }
+  async function readAllMeta() {
+    let rows = [];
+    try { rows = await withStore('readonly', (s) => reqToPromise(s.getAll()), META_STORE); } catch {}
+    const out = { ...mirrorRead() };
+    for (const r of rows) out[r.key] = newer(out[r.key], r);
+    return out;
+  }
+  // Replace swaps in the backup's entries; merge keeps whichever side is newer per key
+  async function importMeta(meta, mode) {
+    if (!meta || typeof meta !== 'object') return;
+    const current = await readAllMeta();
+    const entries = Object.entries(meta)
+      .filter(([, e]) => e && 'value' in e && Number.isFinite(e.updatedAt))
+      .map(([key, e]) => ({ key, value: e.value, updatedAt: e.updatedAt }))
+      .filter(e => mode === 'replace' || newer(current[e.key], e) === e);
+    entries.forEach(mirrorWrite);
+    try { await withStore('readwrite', (s) => { entries.forEach(e => s.put(e)); }, META_STORE); } catch {}
+  }
+
+  // ---------- Cross-tab lock ----------
+  // Web Locks serialize earn/spend across every tab of the origin. Without them we
+  // still queue within this tab; IDB readwrite transactions on one store never overlap.
+  let lockQueue = Promise.resolve();
+  function withLedgerLock(fn) {
+    if (navigator.locks?.request) return navigator.locks.request(LOCK_NAME, () => fn());
+    const run = lockQueue.then(() => fn());
+    lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  // ---------- Integrity (verify / repair) ----------
+  const txnKey = (v) => `${v.ts}|${v.type}|${v.amount}|${v.description}`;
+
+  // Fallback entries that never made it into IDB (matched by content; their seqs differ)
+  function pendingFallback(rows) {
+    const seen = new Set(rows.map(txnKey));
+    return fallbackRead().filter(v => !seen.has(txnKey(v)));
+  }
+
+  // Walk rows oldest-first; every balanceAfter must equal the previous one ± amount
+  function walkLedger(rows) {
+    const gaps = [], mismatches = [];
+    let prev = null;
+    for (const v of rows) {
+      if (prev) {
+        if (v.seq !== prev.seq + 1) gaps.push({ after: prev.seq, before: v.seq, missing: v.seq - prev.seq - 1 });
+        const expected = prev.balanceAfter + delta(v);
+        if (v.balanceAfter !== expected) mismatches.push({ seq: v.seq, expected, actual: v.balanceAfter });
+      }
+      prev = v;
+    }
+    const first = rows[0];
+    // History lost without a checkpoint to account for it (e.g. trimmed by older versions).
+    // An import's first row starts above seq 1 by design and carries importStart.
+    const trimmed = first && first.type !== 'checkpoint' && ((first.seq > 1 && !first.importStart) || openingOf(first) !== 0)
+      ? { firstSeq: first.seq, openingBalance: openingOf(first) } : null;
+    return { gaps, mismatches, trimmed, balance: prev ? prev.balanceAfter : null };
+  }
+
+  async function readAllRows() {
+    try { return await withStore('readonly', (s) => reqToPromise(s.getAll())); }
+    catch { return fallbackRead(); }
+  }
+
+  // Lifetime totals per source: checkpoint totals plus every live row
+  async function getTotals() {
+    const rows = await readAllRows();
+    const bySource = rows.reduce(addToTotals, {});
+    const all = Object.values(bySource).reduce((a, t) => ({ earned: a.earned + t.earned, spent: a.spent + t.spent }), { earned: 0, spent: 0 });
+    const cp = rows[0]?.type === 'checkpoint' ? rows[0].checkpoint : null;
+    return {
+      earned: all.earned, spent: all.spent, bySource,
+      openingBalance: cp ? cp.openingBalance : (rows[0] ? openingOf(rows[0]) : 0),
+      since: cp ? cp.from : rows[0]?.ts ?? null,
+    };
+  }
+
+  async function verify() {
+    const cached = Number(localStorage.getItem(BAL_KEY) || 0);
+    let rows, idb = true;
+    try { rows = await withStore('readonly', (s) => reqToPromise(s.getAll())); }
+    catch { rows = fallbackRead(); idb = false; } // no IDB: the fallback log is the ledger
+    const { gaps, mismatches, trimmed, balance } = walkLedger(rows);
+    const fallbackPending = idb ? pendingFallback(rows) : [];
+    const ledgerBalance = balance ?? seedBalance();
+    const cacheStale = fallbackPending.length === 0 && ledgerBalance !== cached;
+    return {
+      ok: !gaps.length && !mismatches.length && !fallbackPending.length && !cacheStale,
+      idb, rows: rows.length, balance: ledgerBalance, cached, cacheStale,
+      trimmed, gaps, mismatches, fallbackPending,
+    };
+  }
+
+  // Re-chain balanceAfter from the opening balance (amounts are the truth), append
+  // fallback entries IDB never saw, then clear the log. One readwrite transaction.
+  function rebuildLedger() {
+    return withStore('readwrite', (s) => new Promise((resolve, reject) => {
+      const req = s.getAll();
+      req.onsuccess = () => {
+        const rows = req.result;
+        const pending = pendingFallback(rows).sort((a, b) => a.ts - b.ts);
+        let bal = rows.length ? openingOf(rows[0]) : (pending.length ? openingOf(pending[0]) : seedBalance());
+        let fixed = 0;
+        for (const v of rows) {
+          bal += delta(v);
+          if (v.balanceAfter !== bal) { s.put({ ...v, balanceAfter: bal }); fixed++; }
+        }
+        for (const v of pending) {
+          const { seq, ...rest } = v; // let IDB assign a fresh seq
+          bal += delta(v);
+          s.add({ ...rest, balanceAfter: bal });
+        }
+        resolve({ fixed, merged: pending.length, balance: bal });
+      };
+      req.onerror = () => reject(req.error);
+    }));
+  }
+
+  async function repair() {
+    const res = await withLedgerLock(async () => {
+      const r = await rebuildLedger();
+      fallbackWrite([]);
+      try { await trimToCap(); } catch {}
+      return r;
+    });
+    setBalance(res.balance);
+    return { ok: true, ...res };
+  }
+
+  // ---------- Backup (JSON export, JSON/CSV import) ----------
+  const BACKUP_FORMAT = 'coins-ledger';
+  const BACKUP_SCHEMA = 1;
+
+  async function exportBackup() {
+    const rows = await readAllRows();
+    return {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA,
+      dbVersion: DB_VERSION,
+      exportedAt: new Date().toISOString(),
+      origin: location.origin,
+      balance: rows.length ? rows.at(-1).balanceAfter : balance,
+      rowCount: rows.length,
+      totals: rows.reduce(addToTotals, {}),
+      rows,
+      meta: await readAllMeta(),
+    };
+  }
+
+  // Quoted fields, "" escapes and newlines inside quotes (what exportCSV writes)
+  function parseCSV(text) {
+    const out = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch !== '"') field += ch;
+        else if (text[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') { row.push(field); field = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); out.push(row); row = []; field = '';
+      } else field += ch;
+    }
+    if (field || row.length) { row.push(field); out.push(row); }
+    return out.filter(r => r.some(x => x !== ''));
+  }
+
+  function normalizeRow(v) {
+    const ts = typeof v.ts === 'number' ? v.ts : /^\d+$/.test(String(v.ts)) ? Number(v.ts) : Date.parse(v.ts);
+    const row = {
+      seq: Number(v.seq), ts, type: String(v.type || ''), amount: Number(v.amount),
+      description: clampDesc(v.description), source: v.source || undefined, balanceAfter: Number(v.balanceAfter),
+    };
+    if (row.type === 'checkpoint' && v.checkpoint) row.checkpoint = v.checkpoint;
+    if (v.rule) row.rule = v.rule;
+    return row;
+  }
+
+  // Accepts a JSON backup or coins.csv; throws with a readable message otherwise
+  function parseBackup(text) {
+    const body = String(text).replace(/^\uFEFF/, '').trim();
+    if (body.startsWith('{')) {
+      const data = JSON.parse(body);
+      if (data?.format !== BACKUP_FORMAT || !Array.isArray(data.rows)) throw new Error('Not a coins backup file');
+      if (data.schemaVersion > BACKUP_SCHEMA) throw new Error(`Backup schema v${data.schemaVersion} is newer than this page supports`);
+      return { format: 'JSON', backup: data, rows: data.rows.map(normalizeRow), meta: data.meta };
+    }
+    const [head = [], ...lines] = parseCSV(body);
+    const col = Object.fromEntries(head.map((h, i) => [h.trim(), i]));
+    for (const name of ['seq', 'ts', 'type', 'amount', 'description', 'balanceAfter']) {
+      if (!(name in col)) throw new Error(`CSV is missing the "${name}" column`);
+    }
+    return {
+      format: 'CSV',
+      rows: lines.map(r => normalizeRow({
+        seq: r[col.seq], ts: r[col.ts], type: r[col.type], amount: r[col.amount],
+        description: r[col.description], source: r[col.source], balanceAfter: r[col.balanceAfter],
+        checkpoint: col.checkpoint != null && r[col.checkpoint] ? JSON.parse(r[col.checkpoint]) : undefined,
+        rule: col.rule != null && r[col.rule] ? JSON.parse(r[col.rule]) : undefined,
+      })),
+    };
+  }
+
+  // Drop invalid and duplicate rows (same seq, or same ts + content), then walk the chain
+  function checkImportRows(rows) {
+    const invalid = [], duplicateSeq = [], duplicateTs = [], kept = [];
+    const seqs = new Set(), keys = new Set();
+    for (const v of rows) {
+      const valid = Number.isInteger(v.seq) && Number.isFinite(v.ts) && Number.isFinite(v.balanceAfter) && (
+        v.type === 'checkpoint' ? !!v.checkpoint
+          : (v.type === 'earn' || v.type === 'spend') && Number.isInteger(v.amount) && v.amount > 0 && !!v.description);
+      if (!valid) { invalid.push(v); continue; }
+      if (seqs.has(v.seq)) { duplicateSeq.push(v.seq); continue; }
+      if (keys.has(txnKey(v))) { duplicateTs.push(v.ts); continue; }
+      seqs.add(v.seq); keys.add(txnKey(v)); kept.push(v);
+    }
+    kept.sort((a, b) => a.seq - b.seq);
+    // Only the oldest row may be a checkpoint
+    const rowsOk = kept.filter((v, i) => i === 0 || v.type !== 'checkpoint');
+    invalid.push(...kept.filter((v, i) => i > 0 && v.type === 'checkpoint'));
+    return { rows: rowsOk, invalid, duplicateSeq, duplicateTs, ...walkLedger(rowsOk) };
+  }
+
+  // Rows the ledger would hold after import, re-chained from the right opening balance
+  function planImport(check, mode, current) {
+    let rows, opening, skipped = 0, checkpointDropped = false;
+    if (mode === 'replace' || !current.length) {
+      rows = check.rows.slice();
+      opening = rows.length ? openingOf(rows[0]) : 0;
+    } else {
+      const have = new Set(current.map(txnKey));
+      const incoming = check.rows.filter(v => {
+        if (v.type === 'checkpoint') { checkpointDropped = true; return false; }
+        if (have.has(txnKey(v))) { skipped++; return false; }
+        return true;
+      });
+      rows = [...current, ...incoming];
+      opening = openingOf(current[0]);
+    }
+    rows.sort((a, b) => (a.type === 'checkpoint' ? -1 : b.type === 'checkpoint' ? 1 : a.ts - b.ts || a.seq - b.seq));
+    let bal = opening, rechained = 0;
+    rows = rows.map(v => {
+      bal += delta(v);
+      if (v.balanceAfter !== bal) rechained++;
+      return { ...v, balanceAfter: bal };
+    });
+    return { rows, added: rows.length - (mode === 'replace' ? 0 : current.length), skipped, checkpointDropped, rechained, balance: bal };
+  }
+
+  // Rewrite the store in one transaction; seqs continue above the old keys so the
+  // autoIncrement generator never hands out a seq below the imported rows. The first row
+  // is marked importStart so verify() does not take the skipped seqs for lost history.
+  async function commitImport(check, mode, meta) {
+    const res = await withLedgerLock(() => withStore('readwrite', (s) => new Promise((resolve, reject) => {
+      const req = s.getAll();
+      req.onsuccess = () => {
+        const current = req.result;
+        const plan = planImport(check, mode, mode === 'merge' ? [...current, ...pendingFallback(current)] : []);
+        const start = (current.at(-1)?.seq || 0) + 1;
+        s.clear();
+        plan.rows.forEach(({ importStart, ...v }, i) => s.put({ ...v, seq: start + i, ...(i === 0 && { importStart: true }) }));
+        resolve(plan);
+      };
+      req.onerror = () => reject(req.error);
+    })));
+    fallbackWrite([]);
+    try { await withLedgerLock(trimToCap); } catch {}
+    await importMeta(meta, mode);
+    setBalance(res.balance);
+    return res;
+  }
+
+  // ---------- Statistics ----------
+  const STAT_SOURCES = { '2048': '2048', tetris: 'Tetris', sudoku: 'Sudoku', highlow: 'High–Low' };
+
+  // Iterate a cursor request; the callback may return false to stop early
+  const eachCursor = (req, fn) => new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur || fn(cur.value) === false) { resolve(); return; }
+      cur.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+
+  // Everything comes from one readonly transaction over the `type` and `ts` indexes.
+  // Per-source totals and top rows are lifetime; the balance series covers `days` (0 = all).
+  function computeStats({ days = 30, top = 5 } = {}) {
+    const since = days ? dayStart(now()) - (days - 1) * DAY : 0;
+    return withStore('readonly', async (s) => {
+      const byType = s.index('type'), byTs = s.index('ts');
+      const bySource = {}, wins = [], losses = [], closing = new Map();
+      let startBalance = 0;
+      const keepTop = (list, v) => { list.push(v); list.sort((a, b) => b.amount - a.amount); if (list.length > top) list.pop(); };
+
+      await Promise.all([
+        eachCursor(byType.openCursor(IDBKeyRange.only('earn')), v => { addToTotals(bySource, v); keepTop(wins, v); }),
+        eachCursor(byType.openCursor(IDBKeyRange.only('spend')), v => { addToTotals(bySource, v); keepTop(losses, v); }),
+        eachCursor(byType.openCursor(IDBKeyRange.only('checkpoint')), v => { addToTotals(bySource, v); }),
+        since && eachCursor(byTs.openCursor(IDBKeyRange.upperBound(since, true), 'prev'), v => { startBalance = v.balanceAfter; return false; }),
+        eachCursor(byTs.openCursor(since ? IDBKeyRange.lowerBound(since) : null), v => { closing.set(dayStart(v.ts), v.balanceAfter); }),
+      ]);
+
+      // One point per calendar day, carrying the balance across days without activity
+      const series = [];
+      const firstDay = since || (closing.size ? Math.min(...closing.keys()) : dayStart(now()));
+      let bal = startBalance;
+      for (let d = firstDay; d <= dayStart(now()); d = dayStart(d + DAY * 1.5)) {
+        if (closing.has(d)) bal = closing.get(d);
+        series.push({ day: d, balance: bal });
+      }
+
+      const hl = bySource.highlow || { earned: 0, spent: 0, earnCount: 0, spendCount: 0 };
+      return {
+        bySource, series, wins, losses,
+        highlow: {
+          bets: hl.spendCount, wagered: hl.spent, cashOuts: hl.earnCount, paidOut: hl.earned,
+          rtp: hl.spent ? hl.earned / hl.spent : null,
+        },
+      };
+    });
   }
 
   // ---------- UI ----------
@@ -185,7 +768,9 @@ export const Coins = (() => {
     badgeBtn.type = 'button';
     badgeBtn.innerHTML = `${coinSVG()} <span id="coinBalance">${nf.format(balance)}</span>`;
     badgeBtn.addEventListener('click', openModal);
-    (document.querySelector('#coin-ui-root') || root).appendChild(badgeBtn);
+    // First in the slot whenever it mounts: other badges (achievements) mount synchronously, before it
+    if (root.id === 'coin-ui-root') root.prepend(badgeBtn);
+    else root.appendChild(badgeBtn);
   }
   function updateBadge() {
     const el = document.getElementById('coinBalance');
@@ -211,19 +796,36 @@ export const Coins = (() => {
         </header>
         <div class="coin-body">
           <div style="margin:.25rem 0 .6rem; font-size:1.1rem;">Balance: <strong id="coinBalanceBig">${nf.format(balance)}</strong></div>
+          <div id="coinLifetime" class="coin-lifetime"></div>
+          <div id="coinIntegrity" class="coin-integrity" role="alert" hidden></div>
+          <div class="coin-tabs" role="tablist">
+            <button type="button" role="tab" data-tab="history" aria-selected="true">History</button>
+            <button type="button" role="tab" data-tab="stats" aria-selected="false">Statistics</button>
+          </div>
+          <div id="coinStats" class="coin-stats" hidden></div>
+          <div id="coinHistory">
           <div class="coin-filters">
             <select id="coinType">
               <option value="all">All</option>
               <option value="earn">Earned</option>
               <option value="spend">Spent</option>
             </select>
-            <input id="coinSearch" placeholder="Search description/source"/>
+            <select id="coinSource" aria-label="Source">
+              <option value="all">All sources</option>
+            </select>
+            <label>From <input id="coinFrom" type="date"/></label>
+            <label>To <input id="coinTo" type="date"/></label>
             <button id="coinRefresh">Refresh</button>
             <button id="coinExport">Export CSV</button>
+            <button id="coinExportJson">Export JSON</button>
+            <button id="coinImportBtn">Import…</button>
+            <input id="coinImportFile" type="file" accept=".json,.csv,application/json,text/csv" hidden/>
           </div>
+          <div id="coinImport" class="coin-import" hidden></div>
           <div id="coinList"></div>
+          </div>
         </div>
-        <div class="coin-footer">
+        <div class="coin-footer" id="coinFooter">
           <small id="coinCount">0 items</small>
           <div>
             <button id="coinPrev" class="coin-badge">Prev</button>
@@ -232,29 +834,151 @@ export const Coins = (() => {
         </div>`;
       document.body.appendChild(modal);
       byId('coinClose').onclick = closeModal;
-      byId('coinRefresh').onclick = () => loadPage();
+      byId('coinRefresh').onclick = () => { resetPaging(); loadPage(); };
+      ['coinType', 'coinSource', 'coinFrom', 'coinTo'].forEach(id => { byId(id).onchange = () => { resetPaging(); loadPage(); }; });
       byId('coinExport').onclick = exportCSV;
-      byId('coinPrev').onclick = () => { page = Math.max(0, page - 1); loadPage(); };
-      byId('coinNext').onclick = () => { page = page + 1; loadPage(); };
+      byId('coinExportJson').onclick = exportJSON;
+      byId('coinImportBtn').onclick = () => byId('coinImportFile').click();
+      byId('coinImportFile').onchange = (e) => { const f = e.target.files?.[0]; e.target.value = ''; if (f) previewImport(f); };
+      byId('coinPrev').onclick = () => { if (page > 0) { page--; loadPage(); } };
+      byId('coinNext').onclick = () => { if (anchors[page + 1]) { page++; loadPage(); } };
+      modal.querySelectorAll('.coin-tabs [data-tab]').forEach(b => { b.onclick = () => showTab(b.dataset.tab); });
     }
   }
-  function openModal() { ensureModal(); modalBackdrop.style.display = 'block'; modal.style.display = 'block'; page = 0; loadPage(); }
+  function openModal() { ensureModal(); modalBackdrop.style.display = 'block'; modal.style.display = 'block'; resetPaging(); showTab('history'); loadSourceOptions(); loadPage(); checkIntegrity(); }
   function closeModal() { if (modalBackdrop) modalBackdrop.style.display = 'none'; if (modal) modal.style.display = 'none'; }
 
-  let page = 0, pageSize = 25;
+  // anchors[p] is the keyset anchor that starts page p (null for the first page)
+  let page = 0, pageSize = 25, anchors = [null];
+  function resetPaging() { page = 0; anchors = [null]; }
+
+  // <input type="date"> values are local calendar days
+  function dayBounds() {
+    const from = byId('coinFrom')?.value, to = byId('coinTo')?.value;
+    const since = from ? new Date(`${from}T00:00:00`).getTime() : undefined;
+    const until = to ? new Date(`${to}T00:00:00`).getTime() + DAY - 1 : undefined;
+    return { since, until };
+  }
+
+  async function loadSourceOptions() {
+    const sel = byId('coinSource');
+    const current = sel.value;
+    const sources = [...new Set([...Object.keys(STAT_SOURCES), ...await listSources()])];
+    sel.innerHTML = `<option value="all">All sources</option>` + sources
+      .map(src => `<option value="${escapeHTML(src)}">${escapeHTML(STAT_SOURCES[src] || src)}</option>`).join('');
+    sel.value = sources.includes(current) ? current : 'all';
+  }
+
   async function loadPage() {
     updateBadge();
     const type = byId('coinType')?.value || 'all';
-    const search = byId('coinSearch')?.value || '';
-    const { items, total } = await readHistory({ offset: page * pageSize, limit: pageSize, type, search });
-    byId('coinCount').textContent = `${total} items`;
+    const source = byId('coinSource')?.value || 'all';
+    const { items, total, next } = await readHistory({ limit: pageSize, type, source, ...dayBounds(), after: anchors[page] });
+    anchors[page + 1] = next;
+    const pages = Math.max(1, Math.ceil(total / pageSize));
+    byId('coinCount').textContent = `${nf.format(total)} items • page ${page + 1} of ${pages}`;
+    byId('coinPrev').disabled = page === 0;
+    byId('coinNext').disabled = !next;
     byId('coinList').innerHTML = items.map(renderRow).join('') || '<div style="opacity:.75">No items</div>';
+    loadLifetime();
+  }
+  function showTab(tab) {
+    modal.querySelectorAll('.coin-tabs [data-tab]').forEach(b => b.setAttribute('aria-selected', String(b.dataset.tab === tab)));
+    byId('coinHistory').hidden = tab !== 'history';
+    byId('coinFooter').hidden = tab !== 'history';
+    byId('coinStats').hidden = tab !== 'stats';
+    if (tab === 'stats') loadStats();
+  }
+
+  let statsDays = 30;
+  async function loadStats() {
+    const box = byId('coinStats');
+    let st;
+    try { st = await computeStats({ days: statsDays }); }
+    catch { box.innerHTML = '<div style="opacity:.75">Statistics need IndexedDB, which is unavailable here.</div>'; return; }
+
+    const sources = [...new Set([...Object.keys(STAT_SOURCES), ...Object.keys(st.bySource)])];
+    const rows = sources.map(src => {
+      const t = st.bySource[src] || { earned: 0, spent: 0 };
+      const net = t.earned - t.spent;
+      return `<tr><td>${escapeHTML(STAT_SOURCES[src] || src)}</td><td class="earn">+${nf.format(t.earned)}</td>
+        <td class="spend">−${nf.format(t.spent)}</td><td class="${net >= 0 ? 'earn' : 'spend'}">${net >= 0 ? '+' : '−'}${nf.format(Math.abs(net))}</td></tr>`;
+    }).join('');
+    const hl = st.highlow;
+    const listTop = (list, sign) => list.map(v => `<li><strong class="${sign === '+' ? 'earn' : 'spend'}">${sign}${nf.format(v.amount)}</strong>
+      ${escapeHTML(v.description)} <small style="opacity:.7">${new Date(v.ts).toLocaleDateString()}${v.source ? ` • ${escapeHTML(v.source)}` : ''}</small></li>`).join('') || '<li style="opacity:.75">None yet</li>';
+
+    box.innerHTML = `
+      <h4>Net by game (lifetime)</h4>
+      <table class="coin-stats-table">
+        <thead><tr><th>Game</th><th>Earned</th><th>Spent</th><th>Net</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <h4>Balance over time
+        <select id="coinStatsDays">
+          ${[[7, '7 days'], [30, '30 days'], [90, '90 days'], [365, '1 year'], [0, 'All']].map(([d, l]) => `<option value="${d}"${d === statsDays ? ' selected' : ''}>${l}</option>`).join('')}
+        </select>
+      </h4>
+      ${balanceChart(st.series)}
+      <h4>High–Low return to player</h4>
+      <p>${hl.rtp == null ? 'No bets yet.' : `<strong>${(hl.rtp * 100).toFixed(1)}%</strong> — ${nf.format(hl.paidOut)} paid out on ${nf.format(hl.wagered)} wagered (${nf.format(hl.cashOuts)} cash-outs / ${nf.format(hl.bets)} bets)`}</p>
+      <div class="coin-stats-top">
+        <div><h4>Largest wins</h4><ol>${listTop(st.wins, '+')}</ol></div>
+        <div><h4>Largest losses</h4><ol>${listTop(st.losses, '−')}</ol></div>
+      </div>`;
+    byId('coinStatsDays').onchange = (e) => { statsDays = Number(e.target.value); loadStats(); };
+  }
+  function balanceChart(series) {
+    if (series.length < 2) return '<div style="opacity:.75">Not enough history for a chart yet.</div>';
+    const W = 600, H = 160, pad = 6;
+    const vals = series.map(p => p.balance);
+    const min = Math.min(...vals), max = Math.max(...vals), span = max - min || 1;
+    const pts = series.map((p, i) => [
+      (pad + i * (W - 2 * pad) / (series.length - 1)).toFixed(1),
+      (H - pad - (p.balance - min) / span * (H - 2 * pad)).toFixed(1),
+    ].join(',')).join(' ');
+    const day = (ts) => new Date(ts).toLocaleDateString();
+    return `<svg class="coin-chart" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="Daily closing balance">
+        <polyline points="${pts}" fill="none" stroke="#FFCF33" stroke-width="2" vector-effect="non-scaling-stroke"/>
+      </svg>
+      <div class="coin-chart-axis"><span>${day(series[0].day)}</span><span>min ${nf.format(min)} • max ${nf.format(max)}</span><span>${day(series.at(-1).day)}</span></div>`;
+  }
+  async function loadLifetime() {
+    const el = byId('coinLifetime');
+    if (!el) return;
+    const t = await getTotals().catch(() => null);
+    const boosts = activeEvents().map(e => `🎉 ${e.label} (×${e.multiplier})`).join(' • ');
+    el.textContent = (t ? `Lifetime: +${nf.format(t.earned)} earned • −${nf.format(t.spent)} spent` : '') + (boosts ? ` • ${boosts}` : '');
+  }
+  async function checkIntegrity() {
+    const box = byId('coinIntegrity');
+    if (!box) return;
+    const r = await verify().catch(() => null);
+    if (!r || r.ok) { box.hidden = true; return; }
+    const issues = [];
+    if (r.mismatches.length) issues.push(`${r.mismatches.length} balance mismatch${r.mismatches.length > 1 ? 'es' : ''}`);
+    if (r.gaps.length) issues.push(`${r.gaps.reduce((n, g) => n + g.missing, 0)} missing row(s)`);
+    if (r.fallbackPending.length) issues.push(`${r.fallbackPending.length} offline entr${r.fallbackPending.length > 1 ? 'ies' : 'y'} not in the ledger`);
+    if (r.cacheStale) issues.push('cached balance out of date');
+    box.innerHTML = `<span>⚠ Ledger inconsistent: ${issues.join(', ')}.</span> <button type="button" id="coinRepair">Repair</button>`;
+    box.hidden = false;
+    byId('coinRepair').onclick = async () => {
+      try {
+        const res = await repair();
+        toast(`Ledger repaired (${res.fixed} fixed, ${res.merged} merged)`);
+      } catch (e) {
+        console.warn('Coins.repair failed:', e);
+        toast('Could not repair the ledger.');
+      }
+      loadPage(); checkIntegrity();
+    };
   }
   function renderRow(v) {
+    if (v.type === 'checkpoint') return renderCheckpointRow(v);
     const date = new Date(v.ts).toLocaleString();
     const amt = (v.type === 'earn' ? '+' : '−') + nf.format(v.amount);
     const cls = v.type === 'earn' ? 'earn' : 'spend';
-    const src = v.source ? ` • ${v.source}` : '';
+    const src = (v.source ? ` • ${v.source}` : '') + ruleNote(v.rule);
     return `<div class="coin-row">
       <div class="date">${date}</div>
       <div class="amt ${cls}">${amt}</div>
@@ -262,21 +986,100 @@ export const Coins = (() => {
       <div class="bal">bal: ${nf.format(v.balanceAfter)}</div>
     </div>`;
   }
+  function ruleNote(rule) {
+    if (!rule?.event) return '';
+    return (rule.multiplier !== 1 ? ` • ×${rule.multiplier}` : '') + (rule.cap != null ? ' • daily cap' : '');
+  }
+  function renderCheckpointRow(v) {
+    const cp = v.checkpoint || {};
+    const range = `${new Date(cp.from).toLocaleDateString()} – ${new Date(cp.to).toLocaleDateString()}`;
+    const bySrc = Object.entries(cp.totals || {})
+      .map(([src, t]) => `${escapeHTML(src)} +${nf.format(t.earned)}/−${nf.format(t.spent)}`).join(' • ');
+    return `<div class="coin-row checkpoint">
+      <div class="date">${range}</div>
+      <div class="amt">—</div>
+      <div class="desc">${escapeHTML(v.description)} (opening ${nf.format(cp.openingBalance || 0)})<small style="opacity:.7"> • ${bySrc}</small></div>
+      <div class="bal">bal: ${nf.format(v.balanceAfter)}</div>
+    </div>`;
+  }
   function exportCSV() {
-    readHistory({ offset: 0, limit: 10_000 }).then(({ items }) => {
-      const rows = [['seq', 'ts', 'type', 'amount', 'description', 'source', 'balanceAfter']];
+    readAllRows().then((items) => {
+      // "checkpoint" holds the folded totals (JSON) on checkpoint rows, so sums stay lifetime-correct
+      const rows = [['seq', 'ts', 'type', 'amount', 'description', 'source', 'balanceAfter', 'checkpoint', 'rule']];
       items.sort((a, b) => a.seq - b.seq).forEach(v => rows.push([
         v.seq, new Date(v.ts).toISOString(), v.type, v.amount,
-        (v.description || '').replaceAll('"', '""'), v.source || '', v.balanceAfter
+        (v.description || '').replaceAll('"', '""'), v.source || '', v.balanceAfter,
+        v.checkpoint ? JSON.stringify(v.checkpoint).replaceAll('"', '""') : '',
+        v.rule ? JSON.stringify(v.rule).replaceAll('"', '""') : ''
       ]));
       const csv = rows.map(r => r.map(x => `"${String(x)}"`).join(',')).join('\n');
-      const blob = new Blob([csv], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url; a.download = 'coins.csv'; a.click();
-      URL.revokeObjectURL(url);
+      download('coins.csv', csv, 'text/csv');
     });
   }
+  async function exportJSON() {
+    const data = await exportBackup();
+    download(`coins-${data.exportedAt.slice(0, 10)}.json`, JSON.stringify(data, null, 1), 'application/json');
+  }
+  function download(name, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = name; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Nothing is written until the user confirms a mode in the preview panel
+  async function previewImport(file) {
+    const box = byId('coinImport');
+    let parsed, check;
+    try {
+      parsed = parseBackup(await file.text());
+      check = checkImportRows(parsed.rows);
+    } catch (e) {
+      toast(`Import failed: ${e.message}`);
+      return;
+    }
+    const current = await readAllRows();
+    const merge = planImport(check, 'merge', current);
+    const replace = planImport(check, 'replace', current);
+    const first = check.rows[0], last = check.rows.at(-1);
+    const range = first ? `${new Date(first.type === 'checkpoint' ? first.checkpoint.from : first.ts).toLocaleDateString()} – ${new Date(last.ts).toLocaleDateString()}` : 'no rows';
+
+    const issues = [];
+    if (check.duplicateSeq.length) issues.push(`${check.duplicateSeq.length} duplicate seq`);
+    if (check.duplicateTs.length) issues.push(`${check.duplicateTs.length} duplicate row(s)`);
+    if (check.invalid.length) issues.push(`${check.invalid.length} invalid row(s)`);
+    if (check.gaps.length) issues.push(`${check.gaps.length} gap(s) in seq`);
+    if (check.mismatches.length) issues.push(`${check.mismatches.length} balance mismatch(es) — balances will be re-chained`);
+
+    const metaKeys = Object.keys(parsed.meta || {});
+    box.innerHTML = `
+      <div><strong>Import preview</strong> — ${escapeHTML(file.name)} (${parsed.format}), ${nf.format(check.rows.length)} rows, ${range}</div>
+      ${metaKeys.length ? `<div>Also restores: ${escapeHTML(metaKeys.join(', '))}</div>` : ''}
+      <div class="${issues.length ? 'warn' : 'ok'}">${issues.length ? `Skipped/flagged: ${issues.join(', ')}.` : 'Balance chain verified.'}</div>
+      <label><input type="radio" name="coinImportMode" value="merge" checked>
+        Merge — add ${nf.format(merge.added)} new, skip ${nf.format(merge.skipped)} already present${merge.checkpointDropped ? ', checkpoint not merged' : ''} → balance ${nf.format(merge.balance)}</label>
+      <label><input type="radio" name="coinImportMode" value="replace">
+        Replace — ledger becomes these ${nf.format(replace.rows.length)} rows → balance ${nf.format(replace.balance)}</label>
+      <div class="coin-import-actions">
+        <button type="button" id="coinImportApply">Import</button>
+        <button type="button" id="coinImportCancel">Cancel</button>
+      </div>`;
+    box.hidden = false;
+    byId('coinImportCancel').onclick = () => { box.hidden = true; box.innerHTML = ''; };
+    byId('coinImportApply').onclick = async () => {
+      const mode = box.querySelector('input[name="coinImportMode"]:checked')?.value || 'merge';
+      try {
+        const res = await commitImport(check, mode, parsed.meta);
+        toast(`Imported (${mode}): balance ${nf.format(res.balance)}`);
+      } catch (e) {
+        console.warn('Coins import failed:', e);
+        toast('Import failed. Your ledger was not changed.');
+      }
+      box.hidden = true; box.innerHTML = '';
+      resetPaging(); loadSourceOptions(); loadPage(); checkIntegrity();
+    };
+  }
   function escapeHTML(s) { return String(s).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m])); }
 
   // ---------- Public API ----------
@@ -289,7 +1092,7 @@ export const Coins = (() => {
     ['fullscreenchange','webkitfullscreenchange','mozfullscreenchange','MSFullscreenChange']
       .forEach(ev => document.addEventListener(ev, () => { if (toastStack) getToastParent().appendChild(toastStack); }));
 
-    // Sync cache with last txn if possible
+    // Sync cache with the ledger if possible
     try {
       await openDB();
       const last = await withStore('readonly', (s) => new Promise((resolve, reject) => {
@@ -297,40 +1100,70 @@ export const Coins = (() => {
         req.onsuccess = () => resolve(req.result?.value || null);
         req.onerror = () => reject(req.error);
       }));
-      if (last && last.balanceAfter !== balance) {
-        balance = Number(last.balanceAfter) || 0;
-        localStorage.setItem(BAL_KEY, String(balance));
-      }
+      if (last && last.balanceAfter !== balance) setBalance(Number(last.balanceAfter) || 0);
     } catch {
       balance = Number(localStorage.getItem(BAL_KEY) || 0);
     }
 
+    // Entries logged while IDB was unavailable: merge them back now that it works
+    if (fallbackRead().length) {
+      try { if ((await verify()).idb) await repair(); } catch {}
+    }
+
     if (ui) { mountBadge(); updateBadge(); }
   }
 
   function getBalance() { return balance; }
 
-  async function add(amount, description, meta) {
-    const amt = Number(amount), desc = clampDesc(description);
-    if (!Number.isInteger(amt) || amt <= 0) throw new Error('amount must be positive integer');
-    if (!desc) throw new Error('description required');
-    const txn = { ts: now(), type: 'earn', amount: amt, description: desc, source: meta?.source || meta?.page || undefined, balanceAfter: balance + amt };
-    balance += amt; localStorage.setItem(BAL_KEY, String(balance)); updateBadge();
-    toast(`+${nf.format(amt)} • ${desc}`); broadcast('balance', balance);
-    await insertTxn(txn); changeListeners.forEach(cb => cb(balance, txn));
-    return { ok: true, balance };
+  function setBalance(value) {
+    balance = value;
+    try { localStorage.setItem(BAL_KEY, String(balance)); } catch {}
+    updateBadge(); broadcast('balance', balance);
   }
 
-  async function spend(amount, description, meta) {
+  // Shared earn/spend path: validate, then commit under the ledger lock. Resolves
+  // { ok:false, reason } with 'insufficient' (e.g. another tab spent first), 'limit'
+  // (daily spend limit) or 'cap' (daily reward cap); `amount` is what was booked.
+  async function transact(type, amount, description, meta, rule) {
     const amt = Number(amount), desc = clampDesc(description);
     if (!Number.isInteger(amt) || amt <= 0) throw new Error('amount must be positive integer');
     if (!desc) throw new Error('description required');
-    if (balance < amt) return { ok: false, reason: 'insufficient', balance };
-    const txn = { ts: now(), type: 'spend', amount: amt, description: desc, source: meta?.source || meta?.page || undefined, balanceAfter: balance - amt };
-    balance -= amt; localStorage.setItem(BAL_KEY, String(balance)); updateBadge();
-    toast(`-${nf.format(amt)} • ${desc}`); broadcast('balance', balance);
-    await insertTxn(txn); changeListeners.forEach(cb => cb(balance, txn));
-    return { ok: true, balance };
+    const source = meta?.source || meta?.page || undefined;
+
+    const res = await withLedgerLock(async () => {
+      const draft = { ts: now(), type, amount: amt, description: desc, source, ...(rule && { rule }) };
+      let r;
+      // IDB is back after an outage: fold the fallback log in before appending
+      if (fallbackRead().length) { try { await rebuildLedger(); fallbackWrite([]); } catch {} }
+      try { r = await appendTxn(draft); }
+      catch { r = fallbackAppend(draft); } // fallback if IDB fails
+      if (r.ok) { try { await trimToCap(); } catch {} }
+      return r;
+    });
+
+    if (res.balance !== balance) setBalance(res.balance);
+    if (!res.ok) return { ok: false, reason: res.reason, balance };
+    const booked = res.txn.amount;
+    const boost = res.txn.rule?.multiplier > 1 ? ` (×${res.txn.rule.multiplier})` : '';
+    toast(`${type === 'earn' ? '+' : '-'}${nf.format(booked)} • ${desc}${boost}`);
+    changeListeners.forEach(cb => cb(balance, res.txn));
+    return { ok: true, balance, amount: booked };
+  }
+
+  function add(amount, description, meta) { return transact('earn', amount, description, meta, { payout: true }); }
+  function spend(amount, description, meta) { return transact('spend', amount, description, meta); }
+  // Gives back (part of) an earlier spend; it comes off the day's total for the spend limit
+  function refund(amount, description, meta) { return transact('earn', amount, description, meta, { refund: true }); }
+
+  // Reward by event name (see ECONOMY.rewards); params feed amount/description functions.
+  // An event worth nothing (e.g. a 0-score result) books nothing: { ok:false, reason:'zero' }.
+  function reward(event, params = {}) {
+    const def = ECONOMY.rewards[event];
+    if (!def) throw new Error(`unknown reward event: ${event}`);
+    const pick = (x) => typeof x === 'function' ? x(params) : x;
+    const base = pick(def.amount);
+    if (!(base > 0)) return Promise.resolve({ ok: false, reason: 'zero', balance });
+    return transact('earn', base, pick(def.description), { source: def.source }, { event, base });
   }
 
   async function getHistory(opts) { return readHistory(opts); }
@@ -338,7 +1171,8 @@ export const Coins = (() => {
 
   // Expose
   return {
-    init, getBalance, add, spend, getHistory, onChange,
+    init, getBalance, add, spend, refund, reward, activeEvents, getHistory, getTotals, onChange, verify, repair, getMeta, setMeta,
+    exportBackup, parseBackup,
     // public toaster: 2s auto-dismiss, same look as coin add/spend
     toast: (message) => toast(String(message)),
   };
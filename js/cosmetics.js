@@ -0,0 +1,147 @@
+// js/cosmetics.js
+// Cosmetic catalog + inventory (ES module)
+// - Items are bought with Coins.spend (source 'shop') and equipped per slot
+// - Inventory { owned: { id: ts }, equipped: { slot: id } } lives in the coins meta store
+// - A purchase whose inventory save fails is refunded, so coins are never lost
+// - Games read their slot once at startup: (await Cosmetics.equipped('tetris.palette')).data
+
+import { Coins } from './coins.js';
+
+export const Cosmetics = (() => {
+  // ---------- Config ----------
+  const META_KEY = 'inventory';
+  const LOCK_NAME = 'coins-inventory';
+
+  const SLOTS = {
+    '2048.palette': { game: '2048', label: 'Tile palettes' },
+    'tetris.palette': { game: 'Tetris', label: 'Piece colors' },
+    'tetris.blocks': { game: 'Tetris', label: 'Block styles' },
+    'highlow.cardback': { game: 'High–Low', label: 'Card backs' },
+    'tower.scheme': { game: 'Tower Stack', label: 'Color schemes' },
+  };
+
+  // price 0 = owned by everyone (the slot default). data is read by the game:
+  // 2048 { value: color }, Tetris palette [T, O, L, J, I, S, Z] (#rrggbb), Tetris block style name,
+  // High–Low CSS background, Tower sine scheme { base, amp, phase } per r/g/b channel.
+  const CATALOG = [
+    { id: '2048-default', slot: '2048.palette', name: 'Rainbow', price: 0, data: null },
+    { id: '2048-pastel', slot: '2048.palette', name: 'Pastel', price: 250, data: {
+      2: '#a8e6cf', 4: '#dcedc1', 8: '#ffd3b6', 16: '#ffaaa5', 32: '#ff8b94', 64: '#c3aed6',
+      128: '#a1c4fd', 256: '#84fab0', 512: '#f6d365', 1024: '#fda085', 2048: '#f093fb' } },
+    { id: '2048-neon', slot: '2048.palette', name: 'Neon', price: 400, data: {
+      2: '#39ff14', 4: '#00f0ff', 8: '#ff00e6', 16: '#fffb00', 32: '#ff3131', 64: '#7d12ff',
+      128: '#00ff9f', 256: '#ff6ec7', 512: '#0ff0fc', 1024: '#ff9933', 2048: '#ffffff' } },
+    { id: '2048-mono', slot: '2048.palette', name: 'Monochrome', price: 200, data: {
+      2: '#3a3a3a', 4: '#474747', 8: '#555555', 16: '#636363', 32: '#717171', 64: '#808080',
+      128: '#8f8f8f', 256: '#9e9e9e', 512: '#adadad', 1024: '#bdbdbd', 2048: '#d4af37' } },
+
+    { id: 'tetris-default', slot: 'tetris.palette', name: 'Candy', price: 0, data: null },
+    { id: 'tetris-guideline', slot: 'tetris.palette', name: 'Guideline', price: 300,
+      data: ['#A000F0', '#F0F000', '#F0A000', '#0000F0', '#00F0F0', '#00F000', '#F00000'] },
+    { id: 'tetris-sunset', slot: 'tetris.palette', name: 'Sunset', price: 300,
+      data: ['#FF6F61', '#FFD166', '#F78C6B', '#C06C84', '#F8B195', '#6C5B7B', '#EF476F'] },
+    { id: 'tetris-ocean', slot: 'tetris.palette', name: 'Ocean', price: 300,
+      data: ['#0077B6', '#90E0EF', '#00B4D8', '#023E8A', '#48CAE4', '#2A9D8F', '#264653'] },
+    { id: 'tetris-glossy', slot: 'tetris.blocks', name: 'Glossy', price: 0, data: 'glossy' },
+    { id: 'tetris-flat', slot: 'tetris.blocks', name: 'Flat', price: 150, data: 'flat' },
+    { id: 'tetris-outline', slot: 'tetris.blocks', name: 'Outline', price: 200, data: 'outline' },
+    { id: 'tetris-bevel', slot: 'tetris.blocks', name: 'Bevel', price: 250, data: 'bevel' },
+
+    { id: 'cardback-default', slot: 'highlow.cardback', name: 'Midnight', price: 0, data: null },
+    { id: 'cardback-crimson', slot: 'highlow.cardback', name: 'Crimson', price: 200,
+      data: 'linear-gradient(135deg, #3b0a12 0%, #7a1424 60%, #b3213a 100%)' },
+    { id: 'cardback-emerald', slot: 'highlow.cardback', name: 'Emerald', price: 200,
+      data: 'linear-gradient(135deg, #06261b 0%, #0d5c3f 60%, #17925f 100%)' },
+    { id: 'cardback-gold', slot: 'highlow.cardback', name: 'Gilded', price: 500,
+      data: 'linear-gradient(135deg, #4a3606 0%, #a37b12 55%, #f5d36b 100%)' },
+
+    { id: 'tower-default', slot: 'tower.scheme', name: 'Pastel', price: 0, data: null },
+    { id: 'tower-ocean', slot: 'tower.scheme', name: 'Ocean', price: 250,
+      data: { base: [70, 150, 200], amp: [40, 50, 55], phase: [0, 2, 4] } },
+    { id: 'tower-sunset', slot: 'tower.scheme', name: 'Sunset', price: 250,
+      data: { base: [215, 120, 95], amp: [40, 60, 45], phase: [0, 1, 2] } },
+    { id: 'tower-mono', slot: 'tower.scheme', name: 'Graphite', price: 150,
+      data: { base: [170, 170, 180], amp: [60, 60, 60], phase: [0, 0, 0] } },
+  ];
+  const byItemId = new Map(CATALOG.map(i => [i.id, i]));
+
+  // ---------- State ----------
+  let inventory = { owned: {}, equipped: {} };
+
+  // ---------- Inventory ----------
+  function normalize(v) {
+    return {
+      owned: v?.owned && typeof v.owned === 'object' ? { ...v.owned } : {},
+      equipped: v?.equipped && typeof v.equipped === 'object' ? { ...v.equipped } : {},
+    };
+  }
+  async function load() {
+    inventory = normalize(await Coins.getMeta(META_KEY));
+    return inventory;
+  }
+
+  let lockQueue = Promise.resolve();
+  function withLock(fn) {
+    if (navigator.locks?.request) return navigator.locks.request(LOCK_NAME, () => fn());
+    const run = lockQueue.then(() => fn());
+    lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  const owns = (id) => byItemId.get(id)?.price === 0 || !!inventory.owned[id];
+  const defaultFor = (slot) => CATALOG.find(i => i.slot === slot && i.price === 0);
+
+  // The equipped item for a slot (the free default when nothing, or nothing owned, is equipped)
+  async function equipped(slot) {
+    try { await load(); } catch {}
+    const item = byItemId.get(inventory.equipped[slot]);
+    return item && item.slot === slot && owns(item.id) ? item : defaultFor(slot);
+  }
+
+  // Resolves { ok:true, balance } or { ok:false, reason:'unknown'|'owned'|'insufficient'|'limit'|'save', refunded? }
+  function buy(id) {
+    const item = byItemId.get(id);
+    if (!item) return Promise.resolve({ ok: false, reason: 'unknown' });
+    return withLock(async () => {
+      await load();
+      if (owns(id)) return { ok: false, reason: 'owned' };
+      const res = await Coins.spend(item.price, `Shop: ${item.name} (${SLOTS[item.slot].game})`, { source: 'shop' });
+      if (!res.ok) return res;
+      try {
+        await Coins.setMeta(META_KEY, {
+          owned: { ...inventory.owned, [id]: Date.now() },
+          equipped: { ...inventory.equipped, [item.slot]: id },
+        });
+      } catch (e) {
+        // Spend went through but the item was not recorded: give the coins back
+        console.warn('Inventory save failed, refunding:', e);
+        const refund = await Coins.refund(item.price, `Refund: ${item.name} (inventory not saved)`, { source: 'shop' });
+        return { ok: false, reason: 'save', refunded: refund.ok, balance: refund.balance };
+      }
+      await load();
+      return { ok: true, balance: res.balance };
+    });
+  }
+
+  function equip(id) {
+    const item = byItemId.get(id);
+    if (!item) return Promise.resolve({ ok: false, reason: 'unknown' });
+    return withLock(async () => {
+      await load();
+      if (!owns(id)) return { ok: false, reason: 'not-owned' };
+      await Coins.setMeta(META_KEY, { ...inventory, equipped: { ...inventory.equipped, [item.slot]: id } });
+      await load();
+      return { ok: true };
+    });
+  }
+
+  // ---------- Public API ----------
+  return {
+    SLOTS, load, equipped, buy, equip, owns,
+    catalog: (slot) => CATALOG.filter(i => !slot || i.slot === slot),
+    isEquipped: (id) => {
+      const item = byItemId.get(id);
+      return !!item && (inventory.equipped[item.slot] ?? defaultFor(item.slot).id) === id;
+    },
+  };
+})();
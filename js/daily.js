@@ -0,0 +1,207 @@
+// js/daily.js
+// Daily check-in bonus (ES module)
+// - One claim per local calendar day, paid through Coins.add with source 'daily'
+// - Escalating streak rewards for days 1–7; missing a day restarts at day 1
+// - State lives in the coins meta store, so it survives a coins export/import
+// - Claims are rejected when the clock reads earlier than the last claim
+
+import { Coins } from './coins.js';
+
+export const Daily = (() => {
+  // ---------- Config ----------
+  const META_KEY = 'daily';
+  const LOCK_NAME = 'coins-daily';
+  const REWARDS = [10, 15, 20, 30, 40, 60, 100]; // day 1..7; streaks past 7 keep the day-7 reward
+  const DAYS_KEPT = 400; // claimed days remembered for the calendar
+
+  // ---------- State ----------
+  let state = { streak: 0, lastClaimTs: 0, lastDay: null, days: [] };
+  let root, calBackdrop, calModal;
+  let calMonth = new Date(); // any date inside the month on display
+  const nf = new Intl.NumberFormat();
+
+  // ---------- Utilities ----------
+  const byId = (id) => document.getElementById(id);
+  const pad = (n) => String(n).padStart(2, '0');
+  const dayKey = (d) => { d = new Date(d); return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`; };
+  const yesterdayKey = (ts) => { const d = new Date(ts); return dayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1)); };
+  const tierOf = (streak) => Math.min(Math.max(streak, 1), REWARDS.length);
+  const rewardFor = (streak) => REWARDS[tierOf(streak) - 1];
+
+  function normalize(v) {
+    return {
+      streak: Number.isInteger(v?.streak) && v.streak > 0 ? v.streak : 0,
+      lastClaimTs: Number(v?.lastClaimTs) || 0,
+      lastDay: typeof v?.lastDay === 'string' ? v.lastDay : null,
+      days: Array.isArray(v?.days) ? v.days.filter(d => typeof d === 'string') : [],
+    };
+  }
+  async function load() {
+    state = normalize(await Coins.getMeta(META_KEY));
+    return state;
+  }
+
+  // Serialize claims across tabs (a second tab must see the first tab's claim)
+  let lockQueue = Promise.resolve();
+  function withLock(fn) {
+    if (navigator.locks?.request) return navigator.locks.request(LOCK_NAME, () => fn());
+    const run = lockQueue.then(() => fn());
+    lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Where the streak stands at `ts`: a streak survives until a whole day is missed
+  function status(st = state, ts = Date.now()) {
+    const today = dayKey(ts);
+    const claimedToday = st.lastDay === today;
+    const alive = claimedToday || st.lastDay === yesterdayKey(ts);
+    const streak = alive ? st.streak : 0;
+    const clockBack = st.lastClaimTs > ts;
+    const nextStreak = claimedToday ? streak : streak + 1;
+    return { claimedToday, clockBack, streak, canClaim: !claimedToday && !clockBack, nextStreak, nextReward: rewardFor(nextStreak) };
+  }
+
+  // ---------- Claim ----------
+  // Resolves { ok:true, amount, streak, balance } or { ok:false, reason:'claimed'|'clock'|... }
+  function claim() {
+    return withLock(async () => {
+      const st = await load();
+      const ts = Date.now();
+      const s = status(st, ts);
+      if (s.clockBack) return { ok: false, reason: 'clock' };
+      if (s.claimedToday) return { ok: false, reason: 'claimed' };
+
+      // Record the claim before paying: a failed save then costs nothing, and a failed
+      // payment rolls the claim back so it can be retried
+      const today = dayKey(ts);
+      const claimed = { streak: s.nextStreak, lastClaimTs: ts, lastDay: today, days: [...st.days.filter(d => d !== today), today].slice(-DAYS_KEPT) };
+      try { await Coins.setMeta(META_KEY, claimed); }
+      catch (e) { console.warn('Daily claim save failed:', e); return { ok: false, reason: 'save' }; }
+      state = claimed;
+
+      const amount = rewardFor(s.nextStreak);
+      let res;
+      try { res = await Coins.add(amount, `Daily bonus (day ${tierOf(s.nextStreak)})`, { source: 'daily' }); }
+      catch (e) { console.warn('Daily bonus payment failed:', e); res = { ok: false, reason: 'payment' }; }
+      if (!res.ok) {
+        try { await Coins.setMeta(META_KEY, st); state = st; }
+        catch (e) { console.warn('Daily claim rollback failed:', e); }
+        return res;
+      }
+      return { ok: true, amount: res.amount ?? amount, streak: state.streak, balance: res.balance };
+    });
+  }
+
+  // ---------- UI ----------
+  function render() {
+    if (!root) return;
+    const s = status();
+    const tier = s.claimedToday ? tierOf(s.streak) : tierOf(s.nextStreak);
+    const pips = REWARDS.map((amt, i) => {
+      const day = i + 1;
+      const done = day < tier || (day === tier && s.claimedToday);
+      const cls = ['daily-pip', done ? 'done' : '', day === tier ? 'current' : ''].filter(Boolean).join(' ');
+      return `<div class="${cls}"><span>Day ${day}</span><strong>+${nf.format(amt)}</strong></div>`;
+    }).join('');
+
+    let note;
+    if (s.clockBack) note = 'Your device clock is earlier than your last check-in. Fix the date to claim.';
+    else if (s.claimedToday) note = `Claimed today • ${s.streak}-day streak. Come back tomorrow for +${nf.format(rewardFor(s.streak + 1))}.`;
+    else note = s.streak ? `${s.streak}-day streak — keep it going!` : 'Check in every day to grow your streak.';
+
+    root.innerHTML = `
+      <div class="daily-pips">${pips}</div>
+      <div class="daily-actions">
+        <span class="daily-note">${note}</span>
+        <button type="button" id="dailyClaim" class="coin-badge" ${s.canClaim ? '' : 'disabled'}>
+          ${s.claimedToday ? 'Claimed ✓' : `Claim +${nf.format(s.nextReward)}`}
+        </button>
+      </div>`;
+    byId('dailyClaim').onclick = onClaim;
+  }
+
+  async function onClaim(e) {
+    e.currentTarget.disabled = true;
+    let res;
+    try { res = await claim(); }
+    catch (err) { console.warn('Daily claim failed:', err); res = { ok: false }; }
+    if (!res.ok) {
+      Coins.toast(res.reason === 'clock' ? 'Clock is behind your last check-in — claim rejected.'
+        : res.reason === 'claimed' ? 'Already claimed today.'
+        : 'Could not claim the daily bonus. Please try again.');
+    }
+    await load();
+    render();
+    if (calModal?.style.display === 'block') renderCalendar();
+  }
+
+  function ensureCalendar() {
+    if (calModal) return;
+    calBackdrop = document.createElement('div');
+    calBackdrop.className = 'coin-modal-backdrop';
+    calBackdrop.addEventListener('click', closeCalendar);
+    calModal = document.createElement('div');
+    calModal.className = 'coin-modal daily-calendar';
+    calModal.innerHTML = `
+      <header>
+        <strong>Daily check-ins</strong>
+        <button type="button" aria-label="Close" id="dailyCalClose" class="coin-badge">✕</button>
+      </header>
+      <div class="coin-body">
+        <div class="daily-cal-nav">
+          <button type="button" id="dailyCalPrev" class="coin-badge" aria-label="Previous month">‹</button>
+          <strong id="dailyCalTitle"></strong>
+          <button type="button" id="dailyCalNext" class="coin-badge" aria-label="Next month">›</button>
+        </div>
+        <div id="dailyCalGrid" class="daily-cal-grid"></div>
+        <div id="dailyCalSummary" class="coin-lifetime"></div>
+      </div>`;
+    document.body.append(calBackdrop, calModal);
+    byId('dailyCalClose').onclick = closeCalendar;
+    byId('dailyCalPrev').onclick = () => { calMonth = new Date(calMonth.getFullYear(), calMonth.getMonth() - 1, 1); renderCalendar(); };
+    byId('dailyCalNext').onclick = () => { calMonth = new Date(calMonth.getFullYear(), calMonth.getMonth() + 1, 1); renderCalendar(); };
+  }
+
+  function renderCalendar() {
+    const y = calMonth.getFullYear(), m = calMonth.getMonth();
+    const claimed = new Set(state.days);
+    const today = dayKey(Date.now());
+    const lead = new Date(y, m, 1).getDay();
+    const count = new Date(y, m + 1, 0).getDate();
+    const cells = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'].map(d => `<div class="daily-cal-head">${d}</div>`);
+    for (let i = 0; i < lead; i++) cells.push('<div></div>');
+    for (let d = 1; d <= count; d++) {
+      const key = `${y}-${pad(m + 1)}-${pad(d)}`;
+      const cls = ['daily-cal-day', claimed.has(key) ? 'claimed' : '', key === today ? 'today' : ''].filter(Boolean).join(' ');
+      cells.push(`<div class="${cls}" title="${key}${claimed.has(key) ? ' • claimed' : ''}">${d}</div>`);
+    }
+    byId('dailyCalTitle').textContent = calMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    byId('dailyCalGrid').innerHTML = cells.join('');
+    const inMonth = state.days.filter(k => k.startsWith(`${y}-${pad(m + 1)}-`)).length;
+    byId('dailyCalSummary').textContent = `${inMonth} check-in${inMonth === 1 ? '' : 's'} this month • current streak ${status().streak} • ${state.days.length} total`;
+  }
+
+  async function openCalendar() {
+    ensureCalendar();
+    await load();
+    calMonth = new Date();
+    calBackdrop.style.display = 'block'; calModal.style.display = 'block';
+    renderCalendar();
+  }
+  function closeCalendar() { if (calBackdrop) calBackdrop.style.display = 'none'; if (calModal) calModal.style.display = 'none'; }
+
+  // ---------- Public API ----------
+  // root: element for the streak card; calendarButton: opens the calendar modal
+  async function init({ root: el, calendarButton } = {}) {
+    root = el || null;
+    calendarButton?.addEventListener('click', openCalendar);
+    await load();
+    render();
+    // A claim in another tab (or a restored backup) changes the state under us
+    document.addEventListener('visibilitychange', async () => {
+      if (document.visibilityState === 'visible') { await load(); render(); }
+    });
+  }
+
+  return { init, claim, status: () => status(), getState: () => ({ ...state, days: state.days.slice() }), openCalendar };
+})();
@@ -1,7 +1,15 @@
 // High–Low Game — viewport-safe (force-fit), no btnReset
 // Keeps gameplay intact while ensuring the table never overflows the visual viewport.
 import { Coins } from './coins.js';
+import { Achievements } from './achievements.js';
+import { Cosmetics } from './cosmetics.js';
 Coins.init({ ui: true, source: 'highlow' });
+Achievements.init();
+
+// Equipped card back (shop cosmetic); css/highlow.css falls back to the default gradient
+Cosmetics.equipped('highlow.cardback').then(item => {
+  if (item?.data) document.documentElement.style.setProperty('--hl-card-back', item.data);
+});
 
 /* ------------------------------------------------------------------
    Viewport sizing & force-fit scaling
@@ -320,8 +328,9 @@ async function placeBet() {
   }
 
   if (!result || result.ok !== true) {
-    try { Coins.toast?.('Not enough coins for that bet.'); } catch {}
-    setStatus('Place your bet', 'Not enough coins for that bet.', 'neutral');
+    const msg = result?.reason === 'limit' ? 'Daily betting limit reached.' : 'Not enough coins for that bet.';
+    try { Coins.toast?.(msg); } catch {}
+    setStatus('Place your bet', msg, 'neutral');
     updateUI();
     return;
   }
@@ -403,6 +412,7 @@ async function cashOut() {
 
   try {
     await Coins.add(winAmt, `High–Low cash out (+${winAmt})`, { streak, bet, source: 'highlow' });
+    Achievements.report('highlow.cashout', { streak, bet, amount: winAmt });
   } catch (e) {
     // ignore for now
   }
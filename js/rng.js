@@ -0,0 +1,14 @@
+// js/rng.js — Seeded PRNG (mulberry32) shared by the games that need reproducible randomness
+// State is a uint32 passed in and returned, so it can be saved with a game and resumed.
+
+export function newSeed() {
+  return (Math.random() * 4294967296) >>> 0;
+}
+
+// -> [float in [0, 1), next state]
+export function nextRandom(state) {
+  var t = (state + 0x6D2B79F5) >>> 0;
+  var r = Math.imul(t ^ (t >>> 15), t | 1);
+  r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+  return [((r ^ (r >>> 14)) >>> 0) / 4294967296, t];
+}
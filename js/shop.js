@@ -0,0 +1,80 @@
+// js/shop.js — Coin shop page: buy and equip cosmetics from js/cosmetics.js
+import { Coins } from './coins.js';
+import { Achievements } from './achievements.js';
+import { Cosmetics } from './cosmetics.js';
+
+Coins.init({ ui: true, source: 'shop' });
+Achievements.init();
+
+const nf = new Intl.NumberFormat();
+const root = document.getElementById('shop-sections');
+
+// Small preview of what an item changes (defaults show the colors the games ship with)
+const DEFAULT_SWATCH = {
+  '2048.palette': ['#00d0a4', '#dd7373', '#7d53de', '#6622cc', '#ff7f50', '#3e92cc', '#d8315b'],
+  'tetris.palette': ['#FF0D72', '#0DC2FF', '#0DFF72', '#F538FF', '#FF8E0D', '#FFE138', '#3877FF'],
+  'highlow.cardback': 'linear-gradient(135deg, #19172f 0%, #2a2752 60%, #3a356e 100%)',
+};
+function towerColors({ base, amp, phase }) {
+  return [0, 3, 6, 9, 12, 15].map(i => `rgb(${[0, 1, 2].map(c => Math.round(Math.sin(0.3 * i + phase[c]) * amp[c] + base[c])).join(',')})`);
+}
+function preview(item) {
+  const data = item.data ?? DEFAULT_SWATCH[item.slot];
+  const chips = (list) => list.map(c => `<span style="background:${c}"></span>`).join('');
+  switch (item.slot) {
+    case '2048.palette': return `<div class="shop-swatch">${chips(Array.isArray(data) ? data : Object.values(data).slice(0, 7))}</div>`;
+    case 'tetris.palette': return `<div class="shop-swatch">${chips(data)}</div>`;
+    case 'tetris.blocks': return `<div class="shop-swatch shop-blocks ${data}">${chips(['#FF0D72', '#0DC2FF', '#FFE138'])}</div>`;
+    case 'highlow.cardback': return `<div class="shop-cardback" style="background:${data}"></div>`;
+    case 'tower.scheme': return `<div class="shop-swatch">${chips(towerColors(data || { base: [200, 200, 200], amp: [55, 55, 55], phase: [0, 2, 4] }))}</div>`;
+    default: return '';
+  }
+}
+
+function render() {
+  root.innerHTML = Object.entries(Cosmetics.SLOTS).map(([slot, { game, label }]) => `
+    <section class="shop-section">
+      <h3>${game} — ${label}</h3>
+      <div class="shop-grid">
+        ${Cosmetics.catalog(slot).map(item => {
+          const owned = Cosmetics.owns(item.id), on = Cosmetics.isEquipped(item.id);
+          const action = on ? '<button type="button" class="coin-badge" disabled>Equipped</button>'
+            : owned ? `<button type="button" class="coin-badge" data-equip="${item.id}">Equip</button>`
+            : `<button type="button" class="coin-badge" data-buy="${item.id}">Buy ${nf.format(item.price)}</button>`;
+          return `<div class="shop-item${on ? ' equipped' : ''}">
+            ${preview(item)}
+            <div class="shop-item-row"><strong>${item.name}</strong>${action}</div>
+          </div>`;
+        }).join('')}
+      </div>
+    </section>`).join('');
+}
+
+root.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-buy], button[data-equip]');
+  if (!btn) return;
+  btn.disabled = true;
+  try {
+    if (btn.dataset.buy) {
+      const res = await Cosmetics.buy(btn.dataset.buy);
+      if (res.reason === 'insufficient') Coins.toast('Not enough coins.');
+      else if (res.reason === 'save') Coins.toast(res.refunded ? 'Could not save your purchase — coins refunded.' : 'Could not save your purchase.');
+      else if (!res.ok) Coins.toast('Purchase failed. Please try again.');
+    } else {
+      const res = await Cosmetics.equip(btn.dataset.equip);
+      if (res.ok) Coins.toast('Equipped ✓');
+    }
+  } catch (err) {
+    console.warn('Shop action failed:', err);
+    Coins.toast('Shop error. Please try again.');
+  }
+  render();
+});
+
+// Another tab (or a restored backup) may have changed the inventory
+document.addEventListener('visibilitychange', async () => {
+  if (document.visibilityState === 'visible') { await Cosmetics.load(); render(); }
+});
+
+await Cosmetics.load();
+render();
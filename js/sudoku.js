@@ -4,7 +4,9 @@
 // - Keeps existing UI: hints use the single stored solution; "Check" compares to it
 
 import { Coins } from './coins.js';
+import { Achievements } from './achievements.js';
 Coins.init({ ui: true, source: 'sudoku' });
+Achievements.init();
 
 let solution = [];
 let hintCount = 3;
@@ -394,7 +396,10 @@ function checkBoard() {
   const puzzle = getCurrentPuzzle();
   saveGameState(puzzle, solution, hintCount, currentSize);
 
-  if (allCorrect) Coins.toast('🎉 All entries are correct!');
+  if (allCorrect) {
+    Coins.toast('🎉 All entries are correct!');
+    Achievements.report('sudoku.solved', { size: currentSize, hintsUsed: 3 - hintCount });
+  }
 }
 
 /* ---------------------------- Save/load (with uniqueness migration) ---------------------------- */
@@ -0,0 +1,186 @@
+// js/tetris-ai.js — CPU opponent for Tetris versus
+// Pure like tetris-core.js: the placement search tries every rotation and column of a piece
+// (dropped straight down) and scores the board with the El-Tetris features. Opponent wraps
+// a Board with its own bag, queue and incoming garbage; tetris.js steps and draws it.
+
+import { Board, createPiece, rotateMatrix, spawnX, shuffledBag, attackLines, cancelGarbage, applyGarbage, pendingLines } from './tetris-core.js';
+import { nextRandom } from './rng.js';
+
+// thinkMs: time each piece takes; blunder: chance of a random pick among the top few;
+// lookahead: also place the next piece before choosing
+export const CPU_LEVELS = {
+  easy: { label: 'Easy', thinkMs: 1000, blunder: 0.3, lookahead: false },
+  medium: { label: 'Medium', thinkMs: 550, blunder: 0.1, lookahead: false },
+  hard: { label: 'Hard', thinkMs: 250, blunder: 0, lookahead: true },
+};
+const BLUNDER_POOL = 6;         // a blunder picks from this many best placements
+
+// Pierre Dellacherie's features with the El-Tetris weights
+const WEIGHTS = { landing: -4.500, eroded: 3.418, rowTrans: -3.218, colTrans: -9.349, holes: -7.899, wells: -3.386 };
+
+function evaluate(board, landing, eroded) {
+  const { width, height, rows } = board;
+  let rowTrans = 0, colTrans = 0, holes = 0, wells = 0;
+  for (let y = 0; y < height; y++) {
+    let prev = 1; // walls count as filled
+    for (let x = 0; x < width; x++) {
+      const cell = rows[y][x] ? 1 : 0;
+      if (cell !== prev) rowTrans++;
+      prev = cell;
+    }
+    if (!prev) rowTrans++;
+  }
+  for (let x = 0; x < width; x++) {
+    let prev = 0, covered = false, depth = 0;
+    for (let y = 0; y < height; y++) {
+      const cell = rows[y][x] ? 1 : 0;
+      if (cell !== prev) colTrans++;
+      prev = cell;
+      if (cell) covered = true;
+      else if (covered) holes++;
+      // wells: empty cells walled in on both sides, deeper cells weigh more
+      if (!cell && board.filled(x - 1, y) && board.filled(x + 1, y)) wells += ++depth;
+      else depth = 0;
+    }
+    if (!prev) colTrans++; // the floor counts as filled
+  }
+  return WEIGHTS.landing * landing + WEIGHTS.eroded * eroded + WEIGHTS.rowTrans * rowTrans +
+    WEIGHTS.colTrans * colTrans + WEIGHTS.holes * holes + WEIGHTS.wells * wells;
+}
+
+// Every reachable-from-above resting spot of `type` -> [{ matrix, x, y, board, cleared, score }]
+function placements(board, type) {
+  const out = [];
+  const matrix = createPiece(type);
+  const turns = type === 'O' ? 1 : 4;
+  for (let r = 0; r < turns; r++) {
+    const m = matrix.map(row => row.slice());
+    for (let i = 0; i < r; i++) rotateMatrix(m, 1);
+    const filledRows = m.map((row, y) => row.some(v => v) ? y : -1).filter(y => y >= 0);
+    for (let x = -m.length; x < board.width; x++) {
+      const piece = { matrix: m, pos: { x, y: 0 } };
+      if (board.collide(piece)) continue;
+      piece.pos.y = board.dropY(piece);
+      const next = new Board(board.width, board.height);
+      next.load(board.rows);
+      next.merge(piece);
+      const full = next.fullRows();
+      // cells of the piece itself that disappear with the cleared rows
+      const pieceCells = full.reduce((n, fy) => n + (m[fy - piece.pos.y] || []).filter(v => v).length, 0);
+      const cleared = next.clearFullRows();
+      const top = piece.pos.y + filledRows[0], bottom = piece.pos.y + filledRows[filledRows.length - 1];
+      const landing = board.height - (top + bottom) / 2;
+      out.push({ matrix: m, x, y: piece.pos.y, board: next, cleared, score: evaluate(next, landing, cleared * pieceCells) });
+    }
+  }
+  return out;
+}
+
+// -> placement { matrix, x, y, cleared } or null when the piece cannot be placed.
+// rand(): a float in [0, 1) for blunders.
+export function bestPlacement(board, type, { next = null, blunder = 0, lookahead = false, rand = Math.random } = {}) {
+  const options = placements(board, type);
+  if (!options.length) return null;
+  if (lookahead && next) {
+    options.forEach(o => {
+      const follow = placements(o.board, next);
+      o.score += follow.length ? Math.max(...follow.map(f => f.score)) : -1e6;
+    });
+  }
+  options.sort((a, b) => b.score - a.score);
+  if (blunder && rand() < blunder) return options[Math.floor(rand() * Math.min(BLUNDER_POOL, options.length))];
+  return options[0];
+}
+
+/* -------------------- Opponent -------------------- */
+export class Opponent {
+  constructor(width, height, level, rngState) {
+    this.board = new Board(width, height);
+    this.level = CPU_LEVELS[level] ? level : 'medium';
+    this.rngState = rngState >>> 0;
+    this.bag = [];
+    this.queue = [];
+    this.piece = null;          // { type, matrix, pos } shown while the CPU thinks
+    this.timer = 0;
+    this.incoming = [];         // [{ lines, gap }] garbage waiting to enter, oldest first
+    this.combo = -1;
+    this.backToBack = false;
+    this.lines = 0;
+    this.sent = 0;
+    this.toppedOut = false;
+    this.spawn();
+  }
+
+  random() {
+    const [r, next] = nextRandom(this.rngState);
+    this.rngState = next;
+    return r;
+  }
+
+  take() {
+    while (this.queue.length < 2) {
+      if (!this.bag.length) ({ bag: this.bag, rngState: this.rngState } = shuffledBag(this.rngState));
+      this.queue.push(this.bag.pop());
+    }
+    return this.queue.shift();
+  }
+
+  spawn() {
+    const type = this.take();
+    const matrix = createPiece(type);
+    this.piece = { type, matrix, pos: { x: spawnX(this.board.width, matrix), y: 0 } };
+    this.timer = 0;
+    if (this.board.collide(this.piece)) this.toppedOut = true;
+  }
+
+  // Advance by dt ms -> garbage rows to send this step (0 most steps)
+  step(dt) {
+    if (this.toppedOut) return 0;
+    this.timer += dt;
+    const { thinkMs, blunder, lookahead } = CPU_LEVELS[this.level];
+    if (this.timer < thinkMs) return 0;
+
+    const choice = bestPlacement(this.board, this.piece.type, { next: this.queue[0], blunder, lookahead, rand: () => this.random() });
+    if (!choice) { this.toppedOut = true; return 0; }
+    this.board.merge({ matrix: choice.matrix, pos: { x: choice.x, y: choice.y } });
+    const rows = this.board.clearFullRows();
+    let attack = 0;
+    if (rows) {
+      const b2b = rows === 4 && this.backToBack;
+      this.backToBack = rows === 4;
+      this.combo++;
+      this.lines += rows;
+      attack = cancelGarbage(this.incoming, attackLines({ rows, b2b, combo: this.combo, perfect: this.board.isEmpty() }));
+      this.sent += attack;
+    } else {
+      this.combo = -1;
+      if (applyGarbage(this.board, this.incoming)) { this.toppedOut = true; return 0; }
+    }
+    this.spawn();
+    return attack;
+  }
+
+  receive(lines, gap) {
+    if (lines > 0) this.incoming.push({ lines, gap });
+  }
+
+  pendingLines() {
+    return pendingLines(this.incoming);
+  }
+
+  toJSON() {
+    const { board, level, rngState, bag, queue, piece, timer, incoming, combo, backToBack, lines, sent } = this;
+    return { rows: board.rows, level, rngState, bag, queue, piece, timer, incoming, combo, backToBack, lines, sent };
+  }
+
+  static fromJSON(data, width, height) {
+    const cpu = new Opponent(width, height, data.level, data.rngState);
+    cpu.board.load(data.rows);
+    Object.assign(cpu, {
+      rngState: data.rngState >>> 0, bag: data.bag.slice(), queue: data.queue.slice(), piece: data.piece,
+      timer: data.timer, incoming: data.incoming.map(g => ({ ...g })), combo: data.combo,
+      backToBack: data.backToBack, lines: data.lines, sent: data.sent, toppedOut: false,
+    });
+    return cpu;
+  }
+}
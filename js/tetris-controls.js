@@ -0,0 +1,352 @@
+// js/tetris-controls.js
+// Tetris input (ES module)
+// - Keyboard (KeyboardEvent.code) and standard-mapping gamepad bindings per action, two of each, rebindable
+// - The game gets presses through onPress and asks held(action) every frame; OS key repeat is ignored,
+//   handling (DAS / ARR / soft-drop factor, lock delay and lock resets) lives in settings() for the game loop
+// - Touch gestures on the arena canvas feed the same presses (drag, tap, swipe, two-finger tap, long press)
+// - Controls panel (coin-modal shell) to rebind and tune; saved under tetris_controls
+
+import { TIMING_KEYS, LOCK_DEFAULTS } from './tetris-core.js';
+
+export const Controls = (() => {
+  // ---------- Config ----------
+  const SETTINGS_KEY = 'tetris_controls';
+  const ACTIONS = {
+    left: 'Move left', right: 'Move right', softDrop: 'Soft drop', hardDrop: 'Hard drop',
+    rotateCW: 'Rotate clockwise', rotateCCW: 'Rotate counter-clockwise', rotate180: 'Rotate 180°',
+    hold: 'Hold', pause: 'Pause',
+  };
+  const DEFAULTS = {
+    keys: {
+      left: ['ArrowLeft'], right: ['ArrowRight'], softDrop: ['ArrowDown'], hardDrop: ['Space'],
+      rotateCW: ['ArrowUp', 'KeyX'], rotateCCW: ['KeyZ', 'ControlLeft'], rotate180: ['KeyA'],
+      hold: ['KeyC', 'ShiftLeft'], pause: ['Escape', 'KeyP'],
+    },
+    pad: {
+      left: [14], right: [15], softDrop: [13], hardDrop: [12],
+      rotateCW: [0], rotateCCW: [1], rotate180: [3], hold: [4, 5], pause: [9],
+    },
+    das: 133,   // ms a move is held before it auto-repeats
+    arr: 10,    // ms between auto-repeated moves; 0 = straight to the wall
+    sdf: 20,    // soft drop speed as a multiple of gravity; 0 = instant
+    lockDelay: LOCK_DEFAULTS.lockDelay,   // ms a grounded piece waits before it locks
+    lockResets: LOCK_DEFAULTS.lockResets, // shifts/rotations on the ground that restart the lock delay, per piece
+    touchSens: 100,  // % drag sensitivity: at 200 a finger moves the piece one cell per half cell of travel
+    longPress: 300,  // ms a still finger waits before soft dropping
+  };
+  const SLOTS = 2;
+  const SDF_MAX = 40;          // slider positions past this mean instant (stored as 0)
+  const STICK_THRESHOLD = 0.5; // the left stick mirrors the d-pad past this deflection
+  const PAD_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+  const TAP_MS = 250;          // longest touch that still counts as a tap
+  const SLOP = 10;             // px a tap or long press may wander
+  const SWIPE_CELLS = 2;       // a hard-drop swipe covers at least this many (sensitivity-scaled) cells...
+  const SWIPE_SPEED = 0.5;     // ...at this many px/ms or faster
+  const KEY_NAMES = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'Space', Escape: 'Esc' };
+
+  // ---------- State ----------
+  let settings = null;          // loaded by init()
+  let onPress = () => {};
+  const heldKeys = new Set();  // codes
+  let heldPad = new Set();     // button indexes, across all connected pads
+  const heldTouch = new Set(); // actions held by a gesture (long-press soft drop)
+  const touches = new Map();   // pointerId -> { x0, y0, t0, anchorX }
+  let gesture = null;          // { fingers, axis: null | 'x' | 'y', softDrop, timer } until the last finger lifts
+  let capture = null;          // { action, kind: 'keys' | 'pad', slot } while the panel waits for an input
+  let backdrop, modal;
+
+  // ---------- Utilities ----------
+  const byId = (id) => document.getElementById(id);
+  const clone = (o) => JSON.parse(JSON.stringify(o));
+
+  function load() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)); } catch (e) {}
+    const s = clone(DEFAULTS);
+    if (!saved) return s;
+    for (const kind of ['keys', 'pad']) {
+      for (const action of Object.keys(ACTIONS)) {
+        if (Array.isArray(saved[kind]?.[action])) s[kind][action] = saved[kind][action].slice(0, SLOTS);
+      }
+    }
+    for (const k of [...TIMING_KEYS, 'touchSens', 'longPress']) if (Number.isFinite(saved[k]) && saved[k] >= 0) s[k] = saved[k];
+    return s;
+  }
+  function save() {
+    try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch (e) {}
+  }
+
+  const actionFor = (kind, input) => Object.keys(ACTIONS).find(a => settings[kind][a].includes(input)) || null;
+
+  function keyName(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code.replace(/^Key|^Digit/, '').replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, (_, k, side) =>
+      `${side === 'Left' ? 'L' : 'R'} ${k === 'Control' ? 'Ctrl' : k}`);
+  }
+  const padName = (i) => PAD_NAMES[i] || `Button ${i}`;
+
+  // ---------- Keyboard ----------
+  function onKeyDown(e) {
+    if (capture) {
+      e.preventDefault();
+      if (e.code === 'Escape') endCapture();
+      else if (capture.kind === 'keys') bind(e.code === 'Backspace' || e.code === 'Delete' ? null : e.code);
+      else if (e.code === 'Backspace' || e.code === 'Delete') bind(null);
+      return;
+    }
+    if (isPanelOpen()) {
+      if (e.code === 'Escape') closePanel();
+      return;
+    }
+    if (e.target.closest?.('input, select, textarea')) return;
+    const action = actionFor('keys', e.code);
+    if (!action) return;
+    e.preventDefault(); // Space / arrows never scroll the page or click a focused button
+    if (e.repeat) return;
+    heldKeys.add(e.code);
+    onPress(action);
+  }
+  function onKeyUp(e) { heldKeys.delete(e.code); }
+
+  // ---------- Gamepad ----------
+  // Call once per frame: presses since the last poll go to onPress (or to a pending rebind)
+  function poll() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    const now = new Set();
+    for (const pad of pads) {
+      pad.buttons.forEach((b, i) => { if (b.pressed) now.add(i); });
+      const [x = 0, y = 0] = pad.axes;
+      if (x < -STICK_THRESHOLD) now.add(14);
+      if (x > STICK_THRESHOLD) now.add(15);
+      if (y > STICK_THRESHOLD) now.add(13);
+    }
+    const pressed = [...now].filter(i => !heldPad.has(i));
+    heldPad = now;
+    if (capture) {
+      if (capture.kind === 'pad' && pressed.length) bind(pressed[0]);
+      return;
+    }
+    if (isPanelOpen()) return;
+    pressed.forEach(i => { const action = actionFor('pad', i); if (action) onPress(action); });
+  }
+
+  function held(action) {
+    return settings.keys[action].some(code => heldKeys.has(code)) || settings.pad[action].some(i => heldPad.has(i)) ||
+      heldTouch.has(action);
+  }
+
+  // ---------- Touch ----------
+  // Gestures on `el` (a board `cols` cells wide). Sideways drag: one move per cell travelled. Tap: rotate.
+  // Fast swipe down: hard drop. Two-finger tap: hold. Finger held still: soft drop until lifted.
+  // The first real movement locks the gesture to one axis, so a swipe down never nudges sideways.
+  function attachTouch(el, cols) {
+    const cellPx = () => el.clientWidth / cols;
+    const stepPx = () => cellPx() * 100 / settings.touchSens;
+    const press = (action) => { if (!isPanelOpen()) onPress(action); };
+
+    el.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') return;
+      e.preventDefault();
+      el.setPointerCapture?.(e.pointerId);
+      touches.set(e.pointerId, { x0: e.clientX, y0: e.clientY, t0: e.timeStamp, anchorX: e.clientX });
+      gesture ??= { fingers: 0, axis: null, softDrop: false, timer: null };
+      gesture.fingers = Math.max(gesture.fingers, touches.size);
+      clearTimeout(gesture.timer);
+      if (gesture.fingers === 1) gesture.timer = setTimeout(startSoftDrop, settings.longPress);
+    });
+
+    el.addEventListener('pointermove', (e) => {
+      const t = touches.get(e.pointerId);
+      if (!t || !gesture) return;
+      const dx = e.clientX - t.x0, dy = e.clientY - t.y0;
+      if (!gesture.axis && Math.hypot(dx, dy) > SLOP) {
+        gesture.axis = Math.abs(dx) >= Math.abs(dy) ? 'x' : 'y';
+        clearTimeout(gesture.timer);
+      }
+      if (gesture.axis !== 'x' || gesture.fingers > 1) return;
+      const step = stepPx();
+      while (Math.abs(e.clientX - t.anchorX) >= step) {
+        const dir = Math.sign(e.clientX - t.anchorX);
+        t.anchorX += dir * step;
+        press(dir < 0 ? 'left' : 'right');
+      }
+    });
+
+    const end = (e) => {
+      const t = touches.get(e.pointerId);
+      touches.delete(e.pointerId);
+      if (!t || !gesture || touches.size) return; // the gesture ends with its last finger
+      const g = gesture;
+      gesture = null;
+      clearTimeout(g.timer);
+      if (g.softDrop) { heldTouch.delete('softDrop'); return; }
+      if (e.type === 'pointercancel') return;
+      const dt = e.timeStamp - t.t0, dx = e.clientX - t.x0, dy = e.clientY - t.y0;
+      if (g.fingers > 1) {
+        if (!g.axis) press('hold');
+      } else if (g.axis === 'y' && dy >= SWIPE_CELLS * stepPx() && dy > Math.abs(dx) && dy / Math.max(dt, 1) >= SWIPE_SPEED) {
+        press('hardDrop');
+      } else if (!g.axis && dt <= TAP_MS) {
+        press('rotateCW');
+      }
+    };
+    el.addEventListener('pointerup', end);
+    el.addEventListener('pointercancel', end);
+  }
+
+  function startSoftDrop() {
+    if (!gesture || gesture.axis || gesture.fingers > 1) return;
+    gesture.softDrop = true;
+    heldTouch.add('softDrop');
+    if (!isPanelOpen()) onPress('softDrop');
+  }
+
+  // ---------- Rebinding ----------
+  // input null clears the slot; an input bound elsewhere moves here
+  function bind(input) {
+    const { action, kind, slot } = capture;
+    if (input !== null) {
+      for (const a of Object.keys(ACTIONS)) settings[kind][a] = settings[kind][a].filter(v => v !== input);
+    }
+    const list = settings[kind][action];
+    list[slot] = input;
+    settings[kind][action] = list.filter(v => v != null);
+    save();
+    endCapture();
+  }
+  function startCapture(action, kind, slot) {
+    capture = { action, kind, slot };
+    renderPanel();
+  }
+  function endCapture() {
+    capture = null;
+    renderPanel();
+  }
+
+  // ---------- UI ----------
+  const isPanelOpen = () => modal?.style.display === 'block';
+
+  function ensurePanel() {
+    if (modal) return;
+    backdrop = document.createElement('div');
+    backdrop.className = 'coin-modal-backdrop';
+    backdrop.addEventListener('click', closePanel);
+    modal = document.createElement('div');
+    modal.className = 'coin-modal controls-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-label', 'Controls');
+    modal.innerHTML = `
+      <header>
+        <strong>🎮 Controls</strong>
+        <button type="button" aria-label="Close" id="controlsClose" class="coin-badge">✕</button>
+      </header>
+      <div class="coin-body">
+        <table class="controls-table">
+          <thead><tr><th>Action</th><th colspan="${SLOTS}">Keyboard</th><th colspan="${SLOTS}">Gamepad</th></tr></thead>
+          <tbody id="controlsBindings"></tbody>
+        </table>
+        <p class="controls-hint">Click a slot, then press the key or button. Esc cancels, Backspace clears.</p>
+        <p class="controls-hint">Touch: drag sideways to move, tap to rotate, swipe down to hard drop,
+          tap with two fingers to hold, press and hold to soft drop.</p>
+        <div class="controls-tuning">
+          <label>DAS <input type="range" id="controlsDas" min="0" max="300" step="1"><output id="controlsDasOut"></output></label>
+          <label>ARR <input type="range" id="controlsArr" min="0" max="100" step="1"><output id="controlsArrOut"></output></label>
+          <label>Soft drop <input type="range" id="controlsSdf" min="1" max="${SDF_MAX + 1}" step="1"><output id="controlsSdfOut"></output></label>
+          <label>Lock delay <input type="range" id="controlsLock" min="100" max="1500" step="10"><output id="controlsLockOut"></output></label>
+          <label>Lock resets <input type="range" id="controlsResets" min="0" max="30" step="1"><output id="controlsResetsOut"></output></label>
+          <label>Touch drag <input type="range" id="controlsTouch" min="50" max="200" step="10"><output id="controlsTouchOut"></output></label>
+          <label>Long press <input type="range" id="controlsLong" min="150" max="800" step="10"><output id="controlsLongOut"></output></label>
+        </div>
+        <p id="controlsPad" class="controls-hint"></p>
+        <div class="controls-footer">
+          <button type="button" id="controlsReset" class="coin-badge">Reset to defaults</button>
+        </div>
+      </div>`;
+    document.body.append(backdrop, modal);
+
+    byId('controlsClose').onclick = closePanel;
+    byId('controlsReset').onclick = () => { settings = clone(DEFAULTS); save(); capture = null; renderPanel(); };
+    byId('controlsBindings').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-bind]');
+      if (!btn) return;
+      const [action, kind, slot] = btn.dataset.bind.split(':');
+      startCapture(action, kind, +slot);
+    });
+    byId('controlsDas').oninput = (e) => { settings.das = +e.target.value; save(); renderTuning(); };
+    byId('controlsArr').oninput = (e) => { settings.arr = +e.target.value; save(); renderTuning(); };
+    byId('controlsSdf').oninput = (e) => { settings.sdf = +e.target.value > SDF_MAX ? 0 : +e.target.value; save(); renderTuning(); };
+    byId('controlsLock').oninput = (e) => { settings.lockDelay = +e.target.value; save(); renderTuning(); };
+    byId('controlsResets').oninput = (e) => { settings.lockResets = +e.target.value; save(); renderTuning(); };
+    byId('controlsTouch').oninput = (e) => { settings.touchSens = +e.target.value; save(); renderTuning(); };
+    byId('controlsLong').oninput = (e) => { settings.longPress = +e.target.value; save(); renderTuning(); };
+    window.addEventListener('gamepadconnected', renderPadStatus);
+    window.addEventListener('gamepaddisconnected', renderPadStatus);
+  }
+
+  function renderPanel() {
+    if (!modal) return;
+    const slot = (action, kind, i) => {
+      const value = settings[kind][action][i];
+      const waiting = capture && capture.action === action && capture.kind === kind && capture.slot === i;
+      const label = waiting ? (kind === 'keys' ? 'Press a key…' : 'Press a button…')
+        : value == null ? '—' : kind === 'keys' ? keyName(value) : padName(value);
+      return `<td><button type="button" class="controls-bind${waiting ? ' waiting' : ''}" data-bind="${action}:${kind}:${i}">${label}</button></td>`;
+    };
+    const slots = (action, kind) => Array.from({ length: SLOTS }, (_, i) => slot(action, kind, i)).join('');
+    byId('controlsBindings').innerHTML = Object.entries(ACTIONS).map(([action, label]) =>
+      `<tr><th scope="row">${label}</th>${slots(action, 'keys')}${slots(action, 'pad')}</tr>`).join('');
+    renderTuning();
+    renderPadStatus();
+  }
+
+  function renderTuning() {
+    byId('controlsDas').value = settings.das;
+    byId('controlsArr').value = settings.arr;
+    byId('controlsSdf').value = settings.sdf || SDF_MAX + 1;
+    byId('controlsDasOut').textContent = `${settings.das} ms`;
+    byId('controlsArrOut').textContent = settings.arr ? `${settings.arr} ms` : 'instant';
+    byId('controlsSdfOut').textContent = settings.sdf ? `${settings.sdf}×` : 'instant';
+    byId('controlsLock').value = settings.lockDelay;
+    byId('controlsResets').value = settings.lockResets;
+    byId('controlsLockOut').textContent = `${settings.lockDelay} ms`;
+    byId('controlsResetsOut').textContent = settings.lockResets ? `${settings.lockResets}×` : 'none';
+    byId('controlsTouch').value = settings.touchSens;
+    byId('controlsLong').value = settings.longPress;
+    byId('controlsTouchOut').textContent = `${settings.touchSens}%`;
+    byId('controlsLongOut').textContent = `${settings.longPress} ms`;
+  }
+
+  function renderPadStatus() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    byId('controlsPad').textContent = pads.length
+      ? `Gamepad: ${pads.map(p => p.id).join(', ')}`
+      : 'No gamepad detected — press a button on one to connect it.';
+  }
+
+  function openPanel() {
+    ensurePanel();
+    heldKeys.clear();
+    backdrop.style.display = 'block'; modal.style.display = 'block';
+    renderPanel();
+  }
+  function closePanel() {
+    capture = null;
+    if (backdrop) backdrop.style.display = 'none';
+    if (modal) modal.style.display = 'none';
+  }
+
+  // ---------- Public API ----------
+  // onPress(action) fires once per key press or gamepad button press, never on repeat
+  function init(opts = {}) {
+    settings = load();
+    if (opts.onPress) onPress = opts.onPress;
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', () => { heldKeys.clear(); heldTouch.clear(); }); // releases are lost while unfocused
+  }
+
+  return {
+    init, poll, held, attachTouch, openPanel, closePanel, isPanelOpen,
+    settings: () => Object.fromEntries(TIMING_KEYS.map(k => [k, settings[k]])),
+  };
+})();
@@ -0,0 +1,283 @@
+// js/tetris-core.js — Tetris rules without DOM: boards, pieces, the 7-bag and the attack table
+// Shared by the player's game (tetris.js) and the CPU opponent (tetris-ai.js); each side owns its Board.
+// Boards are row-major like the arena always was: rows[y][x], y = 0 at the top, 0 = empty.
+
+import { nextRandom } from './rng.js';
+
+export function createMatrix(w, h) {
+  const m = [];
+  while (h--) m.push(new Array(w).fill(0));
+  return m;
+}
+
+/* -------------------- Pieces -------------------- */
+export const PIECES = 'TJLOSZI';
+export const GARBAGE = 8;       // cell value of garbage rows
+
+export function createPiece(type) {
+  if (type === 'T') return [[0,1,0],[1,1,1],[0,0,0]];
+  if (type === 'O') return [[2,2],[2,2]];
+  if (type === 'L') return [[0,0,3],[3,3,3],[0,0,0]];
+  if (type === 'J') return [[4,0,0],[4,4,4],[0,0,0]];
+  if (type === 'I') return [[0,0,0,0],[5,5,5,5],[0,0,0,0],[0,0,0,0]];
+  if (type === 'S') return [[0,6,6],[6,6,0],[0,0,0]];
+  if (type === 'Z') return [[7,7,0],[0,7,7],[0,0,0]];
+}
+
+// In place; dir > 0 clockwise, else counter-clockwise
+export function rotateMatrix(matrix, dir) {
+  for (let y = 0; y < matrix.length; ++y) {
+    for (let x = 0; x < y; ++x) {
+      [matrix[x][y], matrix[y][x]] = [matrix[y][x], matrix[x][y]];
+    }
+  }
+  if (dir > 0) matrix.forEach(row => row.reverse());
+  else matrix.reverse();
+}
+
+// Where a piece of this matrix width spawns
+export const spawnX = (width, matrix) => Math.floor(width / 2) - Math.floor(matrix[0].length / 2);
+
+// 7-bag randomizer: every run of 7 pieces holds each piece once, in shuffled order.
+// -> { bag, rngState }; pieces are taken with bag.pop()
+export function shuffledBag(rngState) {
+  const bag = PIECES.split('');
+  for (let i = bag.length - 1; i > 0; i--) {
+    const [r, next] = nextRandom(rngState);
+    rngState = next;
+    const j = Math.floor(r * (i + 1));
+    [bag[i], bag[j]] = [bag[j], bag[i]];
+  }
+  return { bag, rngState };
+}
+
+/* -------------------- Board -------------------- */
+// One playfield. `rows` is mutated in place and never replaced, so callers may hold on to it.
+// A piece is anything with { matrix, pos: { x, y } } (the player object, or a CPU placement).
+export class Board {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.rows = createMatrix(width, height);
+  }
+
+  // Out of bounds counts as filled, except above the top
+  filled(x, y) {
+    return x < 0 || x >= this.width || y >= this.height || (y >= 0 && this.rows[y][x] !== 0);
+  }
+
+  collide(piece) {
+    const m = piece.matrix;
+    const o = piece.pos;
+    for (let y = 0; y < m.length; ++y) {
+      for (let x = 0; x < m[y].length; ++x) {
+        if (m[y][x] !== 0 &&
+           (this.rows[y + o.y] && this.rows[y + o.y][x + o.x]) !== 0) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  merge(piece) {
+    piece.matrix.forEach((row, y) => {
+      row.forEach((val, x) => {
+        if (val !== 0) this.rows[y + piece.pos.y][x + piece.pos.x] = val;
+      });
+    });
+  }
+
+  // Row the piece would land on if dropped straight down
+  dropY(piece) {
+    const y = piece.pos.y;
+    while (!this.collide(piece)) piece.pos.y++;
+    const landing = piece.pos.y - 1;
+    piece.pos.y = y;
+    return landing;
+  }
+
+  // Indexes of full rows, bottom first
+  fullRows() {
+    const full = [];
+    for (let y = this.height - 1; y >= 0; --y) {
+      if (this.rows[y].every(v => v !== 0)) full.push(y);
+    }
+    return full;
+  }
+
+  // Remove full rows, shifting the stack down -> rows removed
+  clearFullRows() {
+    let cleared = 0;
+    for (let y = this.height - 1; y >= 0; --y) {
+      if (!this.rows[y].every(v => v !== 0)) continue;
+      this.rows.splice(y, 1);
+      this.rows.unshift(new Array(this.width).fill(0));
+      cleared++;
+      ++y; // stay on same index
+    }
+    return cleared;
+  }
+
+  isEmpty() {
+    return this.rows.every(row => row.every(v => v === 0));
+  }
+
+  // Push `count` garbage rows in from the bottom, open at column `gap`.
+  // -> true when blocks were pushed out of the top (a top-out)
+  addGarbage(count, gap) {
+    let overflow = false;
+    for (let i = 0; i < count; i++) {
+      if (this.rows.shift().some(v => v !== 0)) overflow = true;
+      const row = new Array(this.width).fill(GARBAGE);
+      row[gap] = 0;
+      this.rows.push(row);
+    }
+    return overflow;
+  }
+
+  clear() {
+    this.rows.forEach(row => row.fill(0));
+  }
+
+  load(rows) {
+    rows.forEach((row, y) => { this.rows[y] = row.slice(); });
+  }
+}
+
+/* -------------------- Attack (versus) -------------------- */
+// Garbage rows sent for a lock, after the guideline attack table:
+// lines 0/0/1/2/4, T-spin 2/4/6 (minis 0/1), +1 back-to-back, the combo table, +10 for a perfect clear.
+const CLEAR_ATTACK = { none: [0, 0, 1, 2, 4], mini: [0, 0, 1], tspin: [0, 2, 4, 6] };
+const COMBO_ATTACK = [0, 0, 1, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5]; // by combo count (1 = second clear in a row)
+const PERFECT_CLEAR_ATTACK = 10;
+
+export function attackLines({ rows, spin = null, b2b = false, combo = 0, perfect = false }) {
+  if (!rows) return 0;
+  let lines = CLEAR_ATTACK[spin || 'none'][rows] || 0;
+  if (b2b) lines += 1;
+  if (combo > 0) lines += COMBO_ATTACK[Math.min(combo, COMBO_ATTACK.length - 1)];
+  if (perfect) lines += PERFECT_CLEAR_ATTACK;
+  return lines;
+}
+
+// Incoming garbage is a queue of [{ lines, gap }], oldest first
+const GARBAGE_CAP = 8;          // most garbage rows that enter per lock
+
+export function pendingLines(incoming) {
+  return incoming.reduce((n, g) => n + g.lines, 0);
+}
+
+// Remove up to `attack` lines from the front of `incoming` (mutated) -> attack left over
+export function cancelGarbage(incoming, attack) {
+  while (attack > 0 && incoming.length) {
+    const used = Math.min(attack, incoming[0].lines);
+    incoming[0].lines -= used;
+    attack -= used;
+    if (!incoming[0].lines) incoming.shift();
+  }
+  return attack;
+}
+
+// Move up to GARBAGE_CAP queued lines into the board -> true when that pushed blocks out of the top
+export function applyGarbage(board, incoming) {
+  let budget = GARBAGE_CAP, overflow = false;
+  while (budget > 0 && incoming.length) {
+    const n = Math.min(budget, incoming[0].lines);
+    if (board.addGarbage(n, incoming[0].gap)) overflow = true;
+    incoming[0].lines -= n;
+    budget -= n;
+    if (!incoming[0].lines) incoming.shift();
+  }
+  return overflow;
+}
+
+/* -------------------- Replays -------------------- */
+// A replay is how a game started plus its inputs by tick (tetris.js runs fixed 60 Hz ticks):
+// { mode, cpu, seed, cpuSeed, timing, ticks, inputs: [{ t, press, early } | { t, held } | { t, timing }] }
+// press: an action, early: the ms it came before the end of tick t (the play clock keeps it); held: bitmask over HELD_ACTIONS, recorded when it changes; timing: the player's
+// handling settings (TIMING_KEYS), at the start and whenever they change.
+// Codes pack a replay into bytes (varints, inputs as tick deltas) written as URL-safe base64.
+export const REPLAY_ACTIONS = ['left', 'right', 'softDrop', 'hardDrop', 'rotateCW', 'rotateCCW', 'rotate180', 'hold'];
+export const HELD_ACTIONS = ['left', 'right', 'softDrop'];
+// Auto-shift (das, arr ms), soft-drop factor, lock delay (ms) and lock resets per piece
+export const TIMING_KEYS = ['das', 'arr', 'sdf', 'lockDelay', 'lockResets'];
+export const LOCK_DEFAULTS = { lockDelay: 500, lockResets: 15 };
+const REPLAY_VERSION = 3;       // 1: timing without the lock settings (always LOCK_DEFAULTS); 1-2: presses without early
+const OP_HELD = 0x10;           // | mask
+const OP_TIMING = 0x20;         // then the timing values
+
+export function encodeReplay(rec) {
+  const bytes = [];
+  const varint = (n) => {
+    n = Math.max(0, Math.floor(n));
+    while (n > 0x7f) { bytes.push((n & 0x7f) | 0x80); n = Math.floor(n / 128); }
+    bytes.push(n);
+  };
+  const text = (s) => { varint(s.length); for (const c of s) bytes.push(c.charCodeAt(0) & 0x7f); };
+  const u32 = (n) => { for (let i = 0; i < 4; i++) bytes.push((n >>> (8 * i)) & 0xff); };
+  const timing = (t) => TIMING_KEYS.forEach(k => varint(t[k]));
+
+  bytes.push(REPLAY_VERSION);
+  text(rec.mode);
+  text(rec.cpu || '');
+  u32(rec.seed);
+  u32(rec.cpuSeed || 0);
+  timing(rec.timing);
+  varint(rec.ticks);
+  varint(rec.inputs.length);
+  let last = 0;
+  rec.inputs.forEach(input => {
+    varint(input.t - last);
+    last = input.t;
+    if (input.press) bytes.push(REPLAY_ACTIONS.indexOf(input.press), input.early || 0);
+    else if (input.timing) { bytes.push(OP_TIMING); timing(input.timing); }
+    else bytes.push(OP_HELD | input.held);
+  });
+
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// -> replay, or null when the code is damaged or from an unknown version. Older codes decode to the current shape.
+export function decodeReplay(code) {
+  try {
+    const bin = atob(String(code).replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/'));
+    let i = 0;
+    const byte = () => {
+      if (i >= bin.length) throw new Error('truncated');
+      return bin.charCodeAt(i++);
+    };
+    const varint = () => {
+      let n = 0, scale = 1, b;
+      do { b = byte(); n += (b & 0x7f) * scale; scale *= 128; } while (b & 0x80);
+      return n;
+    };
+    const text = () => {
+      let s = '';
+      for (let n = varint(); n > 0; n--) s += String.fromCharCode(byte());
+      return s;
+    };
+    const u32 = () => (byte() | byte() << 8 | byte() << 16 | byte() << 24) >>> 0;
+    const version = byte();
+    if (version < 1 || version > REPLAY_VERSION) return null;
+    const timing = () => version < 2
+      ? { das: varint(), arr: varint(), sdf: varint(), ...LOCK_DEFAULTS }
+      : Object.fromEntries(TIMING_KEYS.map(k => [k, varint()]));
+
+    const rec = { mode: text(), cpu: text() || null, seed: u32(), cpuSeed: u32(), timing: timing(), ticks: varint(), inputs: [] };
+    let t = 0;
+    for (let n = varint(); n > 0; n--) {
+      t += varint();
+      const op = byte();
+      if (op === OP_TIMING) rec.inputs.push({ t, timing: timing() });
+      else if (op & OP_HELD) rec.inputs.push({ t, held: op & 0x0f });
+      else if (REPLAY_ACTIONS[op]) rec.inputs.push({ t, press: REPLAY_ACTIONS[op], early: version < 3 ? 0 : byte() });
+      else return null;
+    }
+    return i === bin.length ? rec : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,172 @@
+// js/tetris-replays.js
+// Tetris replays (ES module)
+// - Every finished or abandoned game is kept as a replay code (tetris-core.js), newest first, under tetris_replays
+// - A personal-best Sprint run keeps its replay under tetris_sprint_replay until the best is beaten
+// - Replays panel (coin-modal shell): watch, copy or download a code; import one pasted or from a file.
+//   The game does the watching through onWatch(entry).
+// Entries: { code, label, score, lines, ms, endedAt }
+
+import { Coins } from './coins.js';
+import { decodeReplay } from './tetris-core.js';
+
+export const Replays = (() => {
+  // ---------- Config ----------
+  const LIST_KEY = 'tetris_replays';
+  const SPRINT_KEY = 'tetris_sprint_replay';
+  const MAX = 10;
+
+  // ---------- State ----------
+  let onWatch = () => false;
+  let current = () => null;     // the game in progress as an entry, or null
+  let shown = [];               // entries listed in the panel, by row index
+  let backdrop, modal;
+
+  // ---------- Utilities ----------
+  const byId = (id) => document.getElementById(id);
+
+  function read(key, fallback) {
+    try { return JSON.parse(localStorage.getItem(key)) ?? fallback; } catch (e) { return fallback; }
+  }
+  function write(key, value) {
+    try { localStorage.setItem(key, JSON.stringify(value)); }
+    catch (e) { console.warn('Failed to store Tetris replay:', e); }
+  }
+  const list = () => { const l = read(LIST_KEY, []); return Array.isArray(l) ? l : []; };
+
+  function formatTime(ms) {
+    const s = Math.floor(ms / 1000);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+  }
+
+  function download(name, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = name; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // ---------- Storage ----------
+  function archive(entry) {
+    write(LIST_KEY, [entry, ...list()].slice(0, MAX));
+  }
+  function keepSprintBest(entry) {
+    write(SPRINT_KEY, entry);
+  }
+
+  // ---------- UI ----------
+  const isPanelOpen = () => modal?.style.display === 'block';
+
+  function ensurePanel() {
+    if (modal) return;
+    backdrop = document.createElement('div');
+    backdrop.className = 'coin-modal-backdrop';
+    backdrop.addEventListener('click', closePanel);
+    modal = document.createElement('div');
+    modal.className = 'coin-modal replays-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-label', 'Replays');
+    modal.innerHTML = `
+      <header>
+        <strong>🎬 Replays</strong>
+        <button type="button" aria-label="Close" id="replaysClose" class="coin-badge">✕</button>
+      </header>
+      <div class="coin-body">
+        <div id="replaysList" class="replays-list"></div>
+        <div class="replays-import">
+          <label>Replay code <input id="replaysCode" placeholder="Paste a code" spellcheck="false" autocomplete="off"></label>
+          <button type="button" id="replaysWatchCode" class="coin-badge">Watch</button>
+          <button type="button" id="replaysOpenFile" class="coin-badge">Open file…</button>
+          <input id="replaysFile" type="file" accept=".txt,text/plain" hidden>
+        </div>
+      </div>`;
+    document.body.append(backdrop, modal);
+
+    byId('replaysClose').onclick = closePanel;
+    byId('replaysList').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-replay]');
+      if (!btn) return;
+      const entry = shown[+btn.dataset.row];
+      if (btn.dataset.replay === 'watch') watch(entry);
+      else if (btn.dataset.replay === 'copy') copy(entry);
+      else download(`tetris-replay-${new Date(entry.endedAt || Date.now()).toISOString().slice(0, 10)}.txt`, entry.code + '\n');
+    });
+    byId('replaysWatchCode').onclick = () => importCode(byId('replaysCode').value);
+    byId('replaysOpenFile').onclick = () => byId('replaysFile').click();
+    byId('replaysFile').onchange = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) importCode(await file.text());
+    };
+  }
+
+  function renderPanel() {
+    const now = current();
+    const best = read(SPRINT_KEY, null);
+    const rows = [
+      now && ['Current game', now],
+      best?.code && ['Sprint personal best', best],
+      ...list().map(entry => [new Date(entry.endedAt).toLocaleString(), entry]),
+    ].filter(Boolean);
+    shown = rows.map(([, entry]) => entry);
+    byId('replaysList').innerHTML = rows.length ? rows.map(([title, e], i) => `
+      <div class="replays-row">
+        <div class="replays-desc">
+          <strong>${title}</strong>
+          <small>${e.label} • ${e.score} pts • ${e.lines} lines • ${formatTime(e.ms)}</small>
+        </div>
+        <div class="replays-actions">
+          <button type="button" class="coin-badge" data-replay="watch" data-row="${i}">Watch</button>
+          <button type="button" class="coin-badge" data-replay="copy" data-row="${i}">Copy code</button>
+          <button type="button" class="coin-badge" data-replay="download" data-row="${i}" aria-label="Download">⬇</button>
+        </div>
+      </div>`).join('') : '<p class="replays-empty">No replays yet — finished games show up here.</p>';
+  }
+
+  function watch(entry) {
+    if (onWatch(entry)) closePanel();
+    else Coins.toast('That replay cannot be played here.');
+  }
+
+  function copy(entry) {
+    const done = () => Coins.toast('Replay code copied.');
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(entry.code).then(done, () => showCode(entry.code));
+    } else {
+      showCode(entry.code);
+    }
+  }
+  // Clipboard unavailable: leave the code selected in the import field to copy by hand
+  function showCode(code) {
+    const input = byId('replaysCode');
+    input.value = code;
+    input.select();
+  }
+
+  function importCode(text) {
+    const code = String(text || '').trim();
+    if (!decodeReplay(code)) {
+      Coins.toast('That is not a valid replay code.');
+      return;
+    }
+    watch({ code, label: 'Imported replay' });
+  }
+
+  function openPanel() {
+    ensurePanel();
+    backdrop.style.display = 'block'; modal.style.display = 'block';
+    renderPanel();
+  }
+  function closePanel() {
+    if (backdrop) backdrop.style.display = 'none';
+    if (modal) modal.style.display = 'none';
+  }
+
+  // ---------- Public API ----------
+  // onWatch(entry) -> whether the replay started; current() -> entry for the game in progress, or null
+  function init(opts = {}) {
+    if (opts.onWatch) onWatch = opts.onWatch;
+    if (opts.current) current = opts.current;
+  }
+
+  return { init, archive, keepSprintBest, openPanel, closePanel, isPanelOpen };
+})();
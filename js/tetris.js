@@ -1,15 +1,40 @@
 // js/tetris.js — one-viewport layout, crisp canvas, correct clear->spawn order
 
 import { Coins } from './coins.js';
+import { Achievements } from './achievements.js';
+import { Cosmetics } from './cosmetics.js';
+import { newSeed } from './rng.js';
+import {
+  Board, PIECES, createPiece, rotateMatrix, spawnX, shuffledBag, attackLines, cancelGarbage, applyGarbage, pendingLines,
+  HELD_ACTIONS, TIMING_KEYS, LOCK_DEFAULTS, encodeReplay, decodeReplay,
+} from './tetris-core.js';
+import { Opponent, CPU_LEVELS } from './tetris-ai.js';
+import { Controls } from './tetris-controls.js';
+import { Replays } from './tetris-replays.js';
 Coins.init({ ui: true, source: 'tetris' });
+Achievements.init();
 
 /* -------------------- Canvas / sizing -------------------- */
 const canvas = document.getElementById('tetris');
 const context = canvas.getContext('2d', { alpha: false });
+const holdCanvas = document.getElementById('holdCanvas');
+const holdContext = holdCanvas.getContext('2d', { alpha: false });
+const nextCanvas = document.getElementById('nextCanvas');
+const nextContext = nextCanvas.getContext('2d', { alpha: false });
+const cpuCanvas = document.getElementById('cpuCanvas');
+const cpuContext = cpuCanvas.getContext('2d', { alpha: false });
 
 const arenaWidth = 12;
 const arenaHeight = 20;
 
+// Side previews (hold / next queue) are drawn in smaller blocks
+const NEXT_COUNT = 5;       // pieces shown in the next queue
+const PREVIEW_SCALE = 0.6;  // preview block size relative to the arena block
+const PREVIEW_W = 4;        // preview blocks across a side canvas
+const PREVIEW_SLOT = 3;     // preview blocks of height per piece
+const SIDE_GAP = 8;         // px between the side canvases and the arena (matches .tetris-container gap)
+const OPPONENT_SCALE = 0.5; // versus: CPU arena block size relative to the player's
+
 function setHeaderVar() {
   const header = document.querySelector('.site-header');
   if (header) {
@@ -26,24 +51,35 @@ function resizeCanvas() {
   const availW = Math.floor(container.clientWidth);
   const availH = Math.floor(container.clientHeight);
 
-  // Choose integer block size to avoid subpixel blur
-  const blockByW = Math.floor(availW / arenaWidth);
+  // Choose integer block size to avoid subpixel blur (the arena shares the row with two side previews,
+  // and in versus with the CPU arena)
+  const versus = !!MODES[mode].versus;
+  const cols = arenaWidth + PREVIEW_W * PREVIEW_SCALE * 2 + (versus ? arenaWidth * OPPONENT_SCALE : 0);
+  const blockByW = Math.floor((availW - SIDE_GAP * (versus ? 3 : 2)) / cols);
   const blockByH = Math.floor(availH / arenaHeight);
   const blockSize = Math.max(1, Math.min(blockByW, blockByH));
 
-  const cssW = blockSize * arenaWidth;
-  const cssH = blockSize * arenaHeight;
+  fitCanvas(canvas, context, arenaWidth, arenaHeight, blockSize, dpr);
+  const previewSize = blockSize * PREVIEW_SCALE;
+  fitCanvas(holdCanvas, holdContext, PREVIEW_W, PREVIEW_SLOT, previewSize, dpr);
+  fitCanvas(nextCanvas, nextContext, PREVIEW_W, PREVIEW_SLOT * NEXT_COUNT, previewSize, dpr);
+  if (versus) fitCanvas(cpuCanvas, cpuContext, arenaWidth, arenaHeight, blockSize * OPPONENT_SCALE, dpr);
+}
+
+// Size a canvas to w x h blocks of blockSize CSS px; 1 drawing unit == 1 block
+function fitCanvas(cv, ctx, w, h, blockSize, dpr) {
+  const cssW = Math.round(blockSize * w);
+  const cssH = Math.round(blockSize * h);
 
   // CSS size (what the user sees)
-  canvas.style.width = cssW + 'px';
-  canvas.style.height = cssH + 'px';
+  cv.style.width = cssW + 'px';
+  cv.style.height = cssH + 'px';
 
   // Backing store size (for crispness)
-  canvas.width = Math.max(1, Math.floor(cssW * dpr));
-  canvas.height = Math.max(1, Math.floor(cssH * dpr));
+  cv.width = Math.max(1, Math.floor(cssW * dpr));
+  cv.height = Math.max(1, Math.floor(cssH * dpr));
 
-  // 1 unit == 1 block in our drawing space
-  context.setTransform(blockSize * dpr, 0, 0, blockSize * dpr, 0, 0);
+  ctx.setTransform(blockSize * dpr, 0, 0, blockSize * dpr, 0, 0);
 }
 
 function debounce(fn, delay = 120) {
@@ -58,97 +94,183 @@ window.addEventListener('orientationchange', () => {
 });
 
 /* -------------------- Arena / player -------------------- */
-function createMatrix(w, h) {
-  const m = [];
-  while (h--) m.push(new Array(w).fill(0));
-  return m;
+const arena = new Board(arenaWidth, arenaHeight);
+
+// Everything Tetris keeps in localStorage is prefixed `tetris_`
+const SAVE_KEY = 'tetris_save';
+const MODE_KEY = 'tetris_mode';
+const CPU_KEY = 'tetris_cpu';
+const BESTS_KEY = 'tetris_bests';
+
+/* -------------------- Modes -------------------- */
+// goalLines / timeLimit (ms) end the game; rank is what a personal best measures
+// (time: fastest finish, lower wins). Only Marathon levels up; Zen has no gravity,
+// never tops out and pays no coins. Versus is won by topping out the CPU.
+const MODES = {
+  marathon: { label: 'Marathon', goalLines: 150, levels: true, rank: 'score' },
+  sprint: { label: 'Sprint 40L', goalLines: 40, rank: 'time' },
+  ultra: { label: 'Ultra', timeLimit: 2 * 60 * 1000, rank: 'score' },
+  zen: { label: 'Zen', gravity: false, topOut: false, coins: false, rank: 'lines' },
+  versus: { label: 'Versus CPU', versus: true, rank: 'time' },
+};
+let mode = MODES[localStorage.getItem(MODE_KEY)] ? localStorage.getItem(MODE_KEY) : 'marathon';
+let cpuLevel = CPU_LEVELS[localStorage.getItem(CPU_KEY)] ? localStorage.getItem(CPU_KEY) : 'medium';
+
+// Marathon ms per row by level: the guideline curve (0.8 - (L - 1) * 0.007) ^ (L - 1) s,
+// with the final ten lines at 20G (0 = the piece lands the frame it spawns)
+const GRAVITY_MS = [1000, 793, 618, 473, 355, 262, 190, 135, 94, 64, 43, 28, 18, 11, 0];
+const FIXED_GRAVITY_MS = 1000;  // Sprint, Ultra and Versus
+
+function gravityMs() {
+  const m = MODES[mode];
+  if (m.gravity === false) return Infinity;
+  return m.levels ? GRAVITY_MS[Math.min(player.level, GRAVITY_MS.length - 1)] : FIXED_GRAVITY_MS;
 }
 
-const arena = createMatrix(arenaWidth, arenaHeight);
+// Personal bests: { [mode]: value }, versus per CPU level ('versus.hard')
+const bestKey = () => MODES[mode].versus ? `${mode}.${cpuLevel}` : mode;
+function readBests() {
+  try { return JSON.parse(localStorage.getItem(BESTS_KEY)) || {}; } catch (e) { return {}; }
+}
+const bests = readBests();
+function isBetter(value, best) {
+  return best == null || (MODES[mode].rank === 'time' ? value < best : value > best);
+}
+function saveBest(value) {
+  bests[bestKey()] = value;
+  localStorage.setItem(BESTS_KEY, JSON.stringify(bests));
+}
+
+// The single-mode high score (old unprefixed key, then tetris_highScore) is Marathon's best
+(function migrateHighScore() {
+  ['highScore', 'tetris_highScore'].forEach(key => {
+    const old = localStorage.getItem(key);
+    if (old === null) return;
+    if (!(bests.marathon >= Number(old))) {
+      bests.marathon = Number(old) || 0;
+      localStorage.setItem(BESTS_KEY, JSON.stringify(bests));
+    }
+    localStorage.removeItem(key);
+  });
+})();
 
 const player = {
   pos: { x: 0, y: 0 },
   matrix: null,
+  type: null,
+  rotation: 0,          // SRS state: 0 spawn, 1 R (cw), 2 flipped, 3 L (ccw)
+  lastAction: null,     // 'rotate' | 'move' | 'drop': a T-spin needs the last maneuver to be a rotation
+  lastKick: -1,         // kick index of that rotation (4 = the TST kick, always a full T-spin)
   score: 0,
   lines: 0,
   level: 0,
-  highScore: Number(localStorage.getItem('highScore')) || 0,
 };
 
 let dropCounter = 0;
-let dropInterval = 1000;
 let lastTime = 0;
 
+// Play clock (ms): runs while the game is live; a Sprint stops it at the lock that clears line 40
+let elapsed = 0;
+let ticks = 0;                  // game ticks played (see Update loop); replay inputs are stamped with it
+let clockStopped = false;
+let pieces = 0;                 // pieces locked this game
+let bestAtStart = null;         // the mode's best before this game (results compare against it)
+
+// Lock delay: a grounded piece locks after timing.lockDelay ms. Each shift/rotation on the ground restarts
+// the timer, at most timing.lockResets times per piece; reaching a new lowest row grants a fresh budget.
+// Both are Controls settings, carried in `timing` like auto-shift.
+let lockTimer = 0;
+let lockResets = 0;
+let lowestY = 0;
+
 let isPaused = false;
 let isGameOver = false;
 
 let isClearing = false;        // true while the fade animation plays
 let linesToClear = [];
 let lineClearFrame = 0;
-const lineClearDuration = 20;  // frames (~300ms at 60fps)
-
-/* -------------------- Collision / merge / sweep -------------------- */
-function collide(arena, player) {
-  const m = player.matrix;
-  const o = player.pos;
-  for (let y = 0; y < m.length; ++y) {
-    for (let x = 0; x < m[y].length; ++x) {
-      if (m[y][x] !== 0 &&
-         (arena[y + o.y] && arena[y + o.y][x + o.x]) !== 0) {
-        return true;
-      }
-    }
-  }
-  return false;
-}
+const lineClearDuration = 20;  // ticks (~330ms)
 
-function merge(arena, player) {
-  player.matrix.forEach((row, y) => {
-    row.forEach((val, x) => {
-      if (val !== 0) arena[y + player.pos.y][x + player.pos.x] = val;
-    });
-  });
-}
-
-// Mark full lines; actual removal happens in the clearing branch of update()
+/* -------------------- Sweep -------------------- */
+// Mark full lines; actual removal happens in the clearing branch of tick()
 function sweepArena() {
-  linesToClear = [];
-  outer: for (let y = arena.length - 1; y >= 0; --y) {
-    for (let x = 0; x < arena[y].length; ++x) {
-      if (arena[y][x] === 0) continue outer;
-    }
-    linesToClear.push(y);
-  }
+  linesToClear = arena.fullRows();
   if (linesToClear.length > 0) {
     lineClearFrame = 0;
     isClearing = true;
   }
 }
 
+/* -------------------- Versus -------------------- */
+// The CPU plays its own Board (tetris-ai.js). Clears send garbage (attack table in tetris-core.js),
+// first cancelling what is queued against the sender; queued garbage rises on a lock that clears nothing.
+let cpu = null;                 // Opponent in versus, else null
+let incoming = [];              // garbage queued for the player: [{ lines, gap }], oldest first
+let garbageSent = 0;
+let garbageReceived = 0;
+
+// A fresh CPU for a new game
+function resetVersus(cpuSeed) {
+  cpu = MODES[mode].versus ? new Opponent(arenaWidth, arenaHeight, cpuLevel, cpuSeed) : null;
+  incoming = [];
+  garbageSent = 0;
+  garbageReceived = 0;
+}
+
+// Gaps for both sides come from the CPU's seeded random, so a saved game resumes identically
+const garbageGap = () => Math.floor(cpu.random() * arenaWidth);
+
+function sendGarbage(attack) {
+  const lines = cancelGarbage(incoming, attack);
+  if (!lines) return;
+  garbageSent += lines;
+  cpu.receive(lines, garbageGap());
+}
+
+// -> true when the garbage pushed the stack out of the top
+function takeGarbage() {
+  const before = pendingLines(incoming);
+  const overflow = applyGarbage(arena, incoming);
+  garbageReceived += before - pendingLines(incoming);
+  return overflow;
+}
+
+function stepOpponent(dt) {
+  const attack = cpu.step(dt);
+  if (attack) incoming.push({ lines: attack, gap: garbageGap() });
+  if (cpu.toppedOut) finishGame(true);
+}
+
 /* -------------------- Pieces -------------------- */
-function createPiece(type) {
-  if (type === 'T') return [[0,1,0],[1,1,1],[0,0,0]];
-  if (type === 'O') return [[2,2],[2,2]];
-  if (type === 'L') return [[0,0,3],[3,3,3],[0,0,0]];
-  if (type === 'J') return [[4,0,0],[4,4,4],[0,0,0]];
-  if (type === 'I') return [[0,0,0,0],[5,5,5,5],[0,0,0,0],[0,0,0,0]];
-  if (type === 'S') return [[0,6,6],[6,6,0],[0,0,0]];
-  if (type === 'Z') return [[7,7,0],[0,7,7],[0,0,0]];
+// 7-bag randomizer (tetris-core.js)
+let bag = [];
+const nextQueue = [];           // upcoming piece types, nextQueue[0] spawns next
+let holdType = null;
+let holdUsed = false;           // one hold per piece; cleared when a piece locks
+let rngState = 0;               // seeded shuffles, so a saved game resumes (and a replay re-runs) with the same bags
+
+function drawFromBag() {
+  if (!bag.length) ({ bag, rngState } = shuffledBag(rngState));
+  return bag.pop();
+}
+function takeNext() {
+  while (nextQueue.length <= NEXT_COUNT) nextQueue.push(drawFromBag());
+  return nextQueue.shift();
 }
 
 /* -------------------- Drawing -------------------- */
-function drawRoundedRect(x, y, w, h, r) {
-  context.beginPath();
-  context.moveTo(x + r, y);
-  context.lineTo(x + w - r, y);
-  context.quadraticCurveTo(x + w, y, x + w, y + r);
-  context.lineTo(x + w, y + h - r);
-  context.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
-  context.lineTo(x + r, y + h);
-  context.quadraticCurveTo(x, y + h, x, y + h - r);
-  context.lineTo(x, y + r);
-  context.quadraticCurveTo(x, y, x + r, y);
-  context.closePath();
+function drawRoundedRect(x, y, w, h, r, ctx = context) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + w - r, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
+  ctx.lineTo(x + w, y + h - r);
+  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+  ctx.lineTo(x + r, y + h);
+  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
+  ctx.lineTo(x, y + r);
+  ctx.quadraticCurveTo(x, y, x + r, y);
+  ctx.closePath();
 }
 
 function adjustColor(hex, amt) {
@@ -161,50 +283,92 @@ function adjustColor(hex, amt) {
 const lighten = (hex, a) => adjustColor(hex, a);
 const darken = (hex, a) => adjustColor(hex, -a);
 
-const colors = [null, '#FF0D72','#0DC2FF','#0DFF72','#F538FF','#FF8E0D','#FFE138','#3877FF'];
+const colors = [null, '#FF0D72','#0DC2FF','#0DFF72','#F538FF','#FF8E0D','#FFE138','#3877FF', '#7A8594']; // 8 = garbage
+let blockStyle = 'glossy'; // 'glossy' | 'flat' | 'outline' | 'bevel'
+
+// Shop cosmetics: piece palette (T, O, L, J, I, S, Z) and block style, read once at startup
+Cosmetics.equipped('tetris.palette').then(item => { if (item?.data) colors.splice(1, item.data.length, ...item.data); });
+Cosmetics.equipped('tetris.blocks').then(item => { if (item?.data) blockStyle = item.data; });
 
-function drawMatrix(matrix, offset) {
+function drawMatrix(matrix, offset, alpha = 1, ctx = context) {
   matrix.forEach((row, y) => {
     row.forEach((value, x) => {
-      if (value !== 0) {
-        const px = x + offset.x;
-        const py = y + offset.y;
-        const base = colors[value];
-        const grad = context.createLinearGradient(px, py, px + 1, py + 1);
-        grad.addColorStop(0, lighten(base, 0.2));
-        grad.addColorStop(1, darken(base, 0.2));
-        context.fillStyle = grad;
-        drawRoundedRect(px, py, 1, 1, 0.15);
-        context.fill();
-        context.fillStyle = 'rgba(255,255,255,0.1)';
-        drawRoundedRect(px + 0.05, py + 0.05, 0.9, 0.4, 0.1);
-        context.fill();
-        context.strokeStyle = 'rgba(255,255,255,0.15)';
-        context.lineWidth = 0.05;
-        drawRoundedRect(px, py, 1, 1, 0.15);
-        context.stroke();
-      }
+      if (value !== 0) drawBlock(x + offset.x, y + offset.y, value, alpha, ctx);
     });
   });
 }
 
-function drawBlock(x, y, value, alpha = 1) {
-  context.globalAlpha = alpha;
+function drawBlock(x, y, value, alpha = 1, ctx = context) {
+  ctx.globalAlpha = alpha;
   const base = colors[value];
-  const grad = context.createLinearGradient(x, y, x + 1, y + 1);
-  grad.addColorStop(0, lighten(base, 0.2));
-  grad.addColorStop(1, darken(base, 0.2));
-  context.fillStyle = grad;
-  drawRoundedRect(x, y, 1, 1, 0.15);
-  context.fill();
-  context.fillStyle = 'rgba(255,255,255,0.1)';
-  drawRoundedRect(x + 0.05, y + 0.05, 0.9, 0.4, 0.1);
-  context.fill();
-  context.strokeStyle = 'rgba(255,255,255,0.15)';
-  context.lineWidth = 0.05;
-  drawRoundedRect(x, y, 1, 1, 0.15);
-  context.stroke();
-  context.globalAlpha = 1;
+  if (blockStyle === 'flat') {
+    ctx.fillStyle = base;
+    ctx.fillRect(x + 0.04, y + 0.04, 0.92, 0.92);
+  } else if (blockStyle === 'outline') {
+    ctx.fillStyle = darken(base, 0.35);
+    drawRoundedRect(x + 0.06, y + 0.06, 0.88, 0.88, 0.12, ctx);
+    ctx.fill();
+    ctx.strokeStyle = base;
+    ctx.lineWidth = 0.1;
+    ctx.stroke();
+  } else if (blockStyle === 'bevel') {
+    ctx.fillStyle = lighten(base, 0.25);
+    ctx.fillRect(x, y, 1, 1);
+    ctx.fillStyle = darken(base, 0.25);
+    ctx.beginPath(); ctx.moveTo(x + 1, y); ctx.lineTo(x + 1, y + 1); ctx.lineTo(x, y + 1); ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = base;
+    ctx.fillRect(x + 0.15, y + 0.15, 0.7, 0.7);
+  } else {
+    const grad = ctx.createLinearGradient(x, y, x + 1, y + 1);
+    grad.addColorStop(0, lighten(base, 0.2));
+    grad.addColorStop(1, darken(base, 0.2));
+    ctx.fillStyle = grad;
+    drawRoundedRect(x, y, 1, 1, 0.15, ctx);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(255,255,255,0.1)';
+    drawRoundedRect(x + 0.05, y + 0.05, 0.9, 0.4, 0.1, ctx);
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 0.05;
+    drawRoundedRect(x, y, 1, 1, 0.15, ctx);
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+}
+
+// A piece trimmed to its filled cells, centered in the preview slot starting at row `top`
+function drawPreview(ctx, type, top, alpha = 1) {
+  const m = createPiece(type).filter(row => row.some(v => v));
+  const cols = m[0].map((_, x) => m.some(row => row[x])).reduce((a, filled, x) => filled ? a.concat(x) : a, []);
+  const left = (PREVIEW_W - cols.length) / 2 - cols[0];
+  const y0 = top + (PREVIEW_SLOT - m.length) / 2;
+  m.forEach((row, y) => row.forEach((v, x) => { if (v) drawBlock(left + x, y0 + y, v, alpha, ctx); }));
+}
+
+function drawSides() {
+  [[holdContext, PREVIEW_SLOT], [nextContext, PREVIEW_SLOT * NEXT_COUNT]].forEach(([ctx, h]) => {
+    ctx.fillStyle = '#001528';
+    ctx.fillRect(0, 0, PREVIEW_W, h);
+  });
+  if (holdType) drawPreview(holdContext, holdType, 0, holdUsed ? 0.35 : 1); // dimmed until the next piece
+  nextQueue.slice(0, NEXT_COUNT).forEach((type, i) => drawPreview(nextContext, type, i * PREVIEW_SLOT));
+}
+
+// Queued garbage as a bar up the left edge of an arena, one block per line
+function drawGarbageMeter(ctx, lines) {
+  if (!lines) return;
+  const h = Math.min(lines, arenaHeight);
+  ctx.fillStyle = 'rgba(255, 59, 59, 0.85)';
+  ctx.fillRect(0, arenaHeight - h, 0.25, h);
+}
+
+function drawOpponent() {
+  cpuContext.fillStyle = '#001528';
+  cpuContext.fillRect(0, 0, arenaWidth, arenaHeight);
+  drawMatrix(cpu.board.rows, { x: 0, y: 0 }, 1, cpuContext);
+  if (!cpu.toppedOut) drawMatrix(cpu.piece.matrix, cpu.piece.pos, 1, cpuContext);
+  drawGarbageMeter(cpuContext, cpu.pendingLines());
 }
 
 function draw() {
@@ -223,7 +387,7 @@ function draw() {
   }
 
   // arena (with fade on clearing rows)
-  arena.forEach((row, y) => {
+  arena.rows.forEach((row, y) => {
     const fading = linesToClear.includes(y);
     const alpha = fading ? Math.max(0, 1 - (lineClearFrame / lineClearDuration)) : 1;
     row.forEach((value, x) => {
@@ -233,211 +397,1079 @@ function draw() {
 
   // active piece (only when not clearing, or show it anyway? Traditional games keep it)
   // We keep drawing the active piece even during clear animation, but we will NOT spawn a new one until clear completes.
-  if (!isGameOver) drawMatrix(player.matrix, player.pos);
+  if (!isGameOver) {
+    // ghost: where a hard drop would land
+    if (!isClearing) drawMatrix(player.matrix, { x: player.pos.x, y: ghostY() }, 0.25);
+    drawMatrix(player.matrix, player.pos);
+  }
+
+  if (cpu) {
+    drawGarbageMeter(context, pendingLines(incoming));
+    drawOpponent();
+  }
+  drawSides();
+}
+
+/* -------------------- Scoring -------------------- */
+// Guideline points, multiplied by (level + 1). Rows index the arrays; T-spins use the 3-corner rule.
+const CLEAR_POINTS = {
+  none: [0, 100, 300, 500, 800],
+  mini: [100, 200, 400],
+  tspin: [400, 800, 1200, 1600],
+};
+const PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+const COMBO_POINTS = 50;        // × combo count
+const B2B_FACTOR = 1.5;         // back-to-back Tetris / T-spin clears
+const SOFT_DROP_POINTS = 1;     // per row
+const HARD_DROP_POINTS = 2;     // per row
+const CLEAR_NAMES = ['', 'Single', 'Double', 'Triple', 'Tetris'];
+
+let combo = -1;                 // clearing locks in a row, minus one (-1 = no chain)
+let backToBack = false;         // the last line clear was a Tetris or a T-spin
+let pendingSpin = null;         // 'tspin' | 'mini' | null for the piece that just locked
+
+// 3-corner rule: a T locked right after a rotation with 3 of the 4 corners around its center
+// filled (walls and floor count). Both corners on the pointing side filled, or the TST kick, = full.
+function tSpinKind() {
+  if (player.type !== 'T' || player.lastAction !== 'rotate') return null;
+  const cx = player.pos.x + 1, cy = player.pos.y + 1;
+  const filled = (x, y) => arena.filled(x, y);
+  const corners = [filled(cx - 1, cy - 1), filled(cx + 1, cy - 1), filled(cx + 1, cy + 1), filled(cx - 1, cy + 1)]; // TL TR BR BL
+  if (corners.filter(Boolean).length < 3) return null;
+  const [a, b] = [[0, 1], [1, 2], [2, 3], [3, 0]][player.rotation];
+  return (corners[a] && corners[b]) || player.lastKick === 4 ? 'tspin' : 'mini';
+}
+
+// Score one lock (rows = lines it cleared, already removed from the arena)
+function scoreLock(rows) {
+  const spin = pendingSpin;
+  pendingSpin = null;
+  const mult = player.level + 1;
+  const difficult = rows === 4 || (spin !== null && rows > 0);
+  const b2b = difficult && backToBack;
+  const perfect = rows > 0 && arena.isEmpty();
+
+  let points = (CLEAR_POINTS[spin || 'none'][rows] || 0) * mult;
+  if (b2b) points = Math.floor(points * B2B_FACTOR);
+  combo = rows > 0 ? combo + 1 : -1;
+  if (combo > 0) points += COMBO_POINTS * combo * mult;
+  if (perfect) points += PERFECT_CLEAR_POINTS[rows] * mult;
+  if (rows > 0) backToBack = difficult;
+  player.score += points;
+  if (cpu && rows > 0) sendGarbage(attackLines({ rows, spin, b2b, combo, perfect }));
+
+  // "Back-to-Back T-Spin Double", "Tetris", "3 Combo", "Perfect Clear"
+  const name = [b2b && 'Back-to-Back', spin && (spin === 'mini' ? 'T-Spin Mini' : 'T-Spin'), (spin || rows === 4) && CLEAR_NAMES[rows]]
+    .filter(Boolean).join(' ');
+  const label = [name, combo > 0 && `${combo} Combo`, perfect && 'Perfect Clear'].filter(Boolean);
+  if (label.length) showAction(label);
+
+  // Coins for the notable ones (amounts live in the coins economy config)
+  if ((difficult || perfect) && rows > 0) {
+    const kind = spin ? `tspin${spin === 'mini' ? '-mini' : ''}-${CLEAR_NAMES[rows].toLowerCase()}` : rows === 4 ? 'tetris' : 'line';
+    if (MODES[mode].coins !== false && !viewer.open) Coins.reward('tetris.action', { kind, b2b, perfect, label: label.join(' • ') })
+      .catch(e => console.warn('Tetris action reward failed:', e));
+  }
+}
+
+function showAction(lines) {
+  const el = document.getElementById('actionLabel');
+  if (!el || viewer.seeking) return;
+  el.innerHTML = lines.map(l => `<span>${l}</span>`).join('');
+  el.classList.remove('show');
+  void el.offsetWidth; // restart the fade
+  el.classList.add('show');
 }
 
 /* -------------------- Update loop -------------------- */
-const baseScores = [0, 40, 100, 300, 1200];
+// The game advances in fixed ticks whatever the display's frame rate, so a replay (inputs stamped
+// with their tick) re-runs exactly. update() turns animation frames into ticks; the replay viewer
+// runs them itself.
+const TICK_MS = 1000 / 60;
+const MAX_CATCH_UP = 10;        // ticks one frame may run; a longer stall is dropped, not fast-forwarded
+let tickAccum = 0;
+let frameAt = 0;                // performance.now() when the last frame had run its ticks
 
 function update(time = 0) {
-  const deltaTime = time - lastTime;
+  const deltaTime = lastTime ? time - lastTime : 0; // the first frame after load counts as 0
   lastTime = time;
 
-  // Pause or Game Over: just redraw and loop
-  if (isPaused || isGameOver) {
-    draw();
-    return requestAnimationFrame(update);
+  if (viewer.open) {
+    viewerFrame(deltaTime);
+  } else {
+    Controls.poll();
+    tickAccum = Math.min(tickAccum + deltaTime, TICK_MS * MAX_CATCH_UP);
+    // No press can be due later than the game time this frame reaches (a stall drops time)
+    const reached = ticks * TICK_MS + tickAccum;
+    pendingPresses.forEach(p => { p.at = Math.min(p.at, reached); });
+    while (tickAccum >= TICK_MS) {
+      tickAccum -= TICK_MS;
+      tick();
+    }
+    frameAt = performance.now();
+  }
+
+  draw();
+  requestAnimationFrame(update);
+}
+
+function tick() {
+  // Pause or Game Over: nothing moves
+  if (isPaused || isGameOver) return;
+
+  ticks++;
+  if (!clockStopped) elapsed += TICK_MS;
+  updateClock();
+  readInputs();
+  handleHeld(TICK_MS);
+
+  // The CPU plays on through the player's line clears
+  if (cpu) {
+    stepOpponent(TICK_MS);
+    if (isGameOver) return;
   }
 
   // Clearing phase: play fade, then remove rows and spawn NEXT piece
   if (isClearing) {
     lineClearFrame++;
+    if (lineClearFrame < lineClearDuration) return;
 
-    if (lineClearFrame >= lineClearDuration) {
-      // Remove rows
-      let rowsCleared = 0;
-      outer: for (let y = arena.length - 1; y >= 0; --y) {
-        for (let x = 0; x < arena[y].length; ++x) {
-          if (arena[y][x] === 0) continue outer;
-        }
-        arena.splice(y, 1);
-        arena.unshift(new Array(arenaWidth).fill(0));
-        rowsCleared++;
-        ++y; // stay on same index
-      }
+    // Remove rows
+    const rowsCleared = arena.clearFullRows();
 
-      // Scoring / progression / coins
-      if (rowsCleared > 0) {
-        player.lines += rowsCleared;
-        player.score += (baseScores[rowsCleared] || 0) * (player.level + 1);
-        if (player.score > player.highScore) {
-          player.highScore = player.score;
-          localStorage.setItem('highScore', player.highScore);
-        }
-        // Level up every 10 lines
-        while (player.lines >= (player.level + 1) * 10) {
-          player.level++;
-          dropInterval = Math.max(100, 1000 - player.level * 100);
-          try { Coins.add(player.level * 10, `Reached Level ${player.level}`, { source: 'tetris' }); } catch (e) {}
-        }
+    // Scoring / progression / coins
+    scoreLock(rowsCleared);
+    if (rowsCleared > 0) {
+      player.lines += rowsCleared;
+      if (!viewer.open) Achievements.report('tetris.clear', { lines: rowsCleared });
+      // Level up every 10 lines (Marathon only)
+      while (MODES[mode].levels && player.lines >= (player.level + 1) * 10) {
+        player.level++;
+        if (!viewer.open) Coins.reward('tetris.level', { level: player.level })
+          .catch(e => console.warn('Tetris level reward failed:', e));
       }
+    }
+
+    updateScore();
+    // End clearing phase
+    isClearing = false;
+    linesToClear = [];
+    lineClearFrame = 0;
 
-      updateScore();
-      // End clearing phase
-      isClearing = false;
-      linesToClear = [];
-      lineClearFrame = 0;
+    const goal = MODES[mode].goalLines;
+    if (goal && player.lines >= goal) return finishGame(true);
 
-      // NOW spawn next piece (this is the core fix)
-      playerReset();
-      dropCounter = 0; // reset gravity timing
-    }
+    // NOW spawn next piece (this is the core fix)
+    playerReset();
+    dropCounter = 0; // reset gravity timing
+    return;
+  }
 
-    draw();
-    return requestAnimationFrame(update);
+  const limit = MODES[mode].timeLimit;
+  if (limit && elapsed >= limit) {
+    elapsed = limit;
+    return finishGame(true);
   }
 
-  // Normal gravity progression
-  dropCounter += deltaTime;
-  if (dropCounter > dropInterval) {
-    playerDrop();
+  // Gravity: whole rows per elapsed interval, so fast levels fall several rows a tick
+  const interval = gravityMs();
+  if (interval !== Infinity) {
+    dropCounter += TICK_MS;
+    let rows = interval === 0 ? arenaHeight : Math.floor(dropCounter / interval);
+    while (rows-- > 0 && !isGrounded()) playerDrop();
   }
 
-  draw();
-  return requestAnimationFrame(update);
+  // Lock delay runs only while the piece rests on something
+  if (isGrounded()) {
+    lockTimer += TICK_MS;
+    if (lockTimer >= timing.lockDelay) lockPiece();
+  } else {
+    lockTimer = 0;
+  }
 }
 
 /* -------------------- Player actions -------------------- */
-function playerDrop() {
+// One row down (gravity, or a soft drop worth SOFT_DROP_POINTS). On the ground this does nothing: lock delay decides.
+function playerDrop(soft = false) {
   if (isClearing || isPaused || isGameOver) return; // guard
 
   player.pos.y++;
-  if (collide(arena, player)) {
+  if (arena.collide(player)) {
     player.pos.y--;
-    merge(arena, player);
-    sweepArena();
-
-    // If lines will clear, DO NOT spawn a new piece yet.
-    if (isClearing) {
-      dropCounter = 0;
-      return;
+  } else {
+    player.lastAction = 'drop';
+    if (player.pos.y > lowestY) {
+      lowestY = player.pos.y;
+      lockResets = 0;
     }
-
-    // No lines to clear -> spawn next immediately
-    playerReset();
+    if (soft) { player.score += SOFT_DROP_POINTS; updateScore(); }
   }
   dropCounter = 0;
 }
 
-function rotate(matrix, dir) {
-  for (let y = 0; y < matrix.length; ++y) {
-    for (let x = 0; x < y; ++x) {
-      [matrix[x][y], matrix[y][x]] = [matrix[y][x], matrix[x][y]];
+// Straight down and lock at once
+function playerHardDrop() {
+  if (isClearing || isPaused || isGameOver) return;
+  const rows = ghostY() - player.pos.y;
+  if (rows > 0) {
+    player.pos.y += rows;
+    player.lastAction = 'drop';
+    player.score += rows * HARD_DROP_POINTS;
+    updateScore();
+  }
+  lockPiece();
+}
+
+function ghostY() {
+  return arena.dropY(player);
+}
+
+function isGrounded() {
+  player.pos.y++;
+  const grounded = arena.collide(player);
+  player.pos.y--;
+  return grounded;
+}
+
+function lockPiece() {
+  pendingSpin = tSpinKind(); // before merge: the corners must be read without the piece itself
+  arena.merge(player);
+  sweepArena();
+  dropCounter = 0;
+  pieces++;
+
+  // If lines will clear, DO NOT spawn a new piece yet (scored once the rows are gone).
+  if (isClearing) {
+    // The line that meets the goal stops the clock on this tick, not after the fade, and at the
+    // moment of the press that locked it: ticks alone would time a Sprint in 1/60 s steps
+    const goal = MODES[mode].goalLines;
+    if (goal && player.lines + linesToClear.length >= goal) {
+      clockStopped = true;
+      elapsed -= pressEarly;
     }
+    return;
   }
-  if (dir > 0) matrix.forEach(row => row.reverse());
-  else matrix.reverse();
+
+  // No lines to clear -> score (T-spin zero, combo break), take queued garbage, spawn next immediately
+  scoreLock(0);
+  updateScore();
+  if (cpu && takeGarbage()) return gameOver();
+  playerReset();
 }
 
+// A successful shift or rotation while grounded restarts the lock timer (up to timing.lockResets times)
+function onPieceMoved() {
+  if (isGrounded() && lockResets < timing.lockResets) {
+    lockTimer = 0;
+    lockResets++;
+  }
+}
+
+// -> whether the piece moved
+function playerMove(dir) {
+  if (isClearing || isPaused || isGameOver) return false;
+  player.pos.x += dir;
+  if (arena.collide(player)) {
+    player.pos.x -= dir;
+    return false;
+  }
+  player.lastAction = 'move';
+  onPieceMoved();
+  return true;
+}
+
+// Swap the falling piece with the hold slot (first hold takes the next piece); once per piece
+function playerHold() {
+  if (isClearing || isPaused || isGameOver || holdUsed) return;
+  const held = holdType;
+  holdType = player.type;
+  spawnPiece(held || takeNext());
+  holdUsed = true;
+  dropCounter = 0;
+}
+
+/* Super Rotation System kicks: offsets tried in order, [dx, dy] with +y UP as in the SRS tables
+   (the arena grows downward, so dy is subtracted). Keys are "from>to" rotation states. */
+const KICKS_JLSTZ = {
+  '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+};
+const KICKS_I = {
+  '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+};
+// SRS has no 180° rotation; these are the widely used SRS+ 180 kicks (shared by all pieces)
+const KICKS_180 = {
+  '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+  '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+  '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+  '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]],
+};
+
+// dir: 1 clockwise, -1 counter-clockwise, 2 = 180°. The O piece never moves when rotated.
 function playerRotate(dir) {
-  if (isClearing || isPaused || isGameOver) return;
-  const pos = player.pos.x;
-  let offset = 1;
-  rotate(player.matrix, dir);
-  while (collide(arena, player)) {
-    player.pos.x += offset;
-    offset = -(offset + (offset > 0 ? 1 : -1));
-    if (offset > player.matrix[0].length) {
-      rotate(player.matrix, -dir);
-      player.pos.x = pos;
-      return;
+  if (isClearing || isPaused || isGameOver || player.type === 'O') return false;
+  const from = player.rotation;
+  const to = (from + dir + 4) % 4;
+  const table = dir === 2 ? KICKS_180 : player.type === 'I' ? KICKS_I : KICKS_JLSTZ;
+  const kicks = table[from + '>' + to];
+
+  const original = player.matrix;
+  const rotated = original.map(row => row.slice());
+  if (dir === 2) { rotateMatrix(rotated, 1); rotateMatrix(rotated, 1); }
+  else rotateMatrix(rotated, dir);
+
+  const { x, y } = player.pos;
+  player.matrix = rotated;
+  for (const [i, [dx, dy]] of kicks.entries()) {
+    player.pos.x = x + dx;
+    player.pos.y = y - dy;
+    if (!arena.collide(player)) {
+      player.rotation = to;
+      player.lastAction = 'rotate';
+      player.lastKick = dir === 2 ? -1 : i;
+      onPieceMoved();
+      return true;
     }
   }
+  player.matrix = original;
+  player.pos.x = x;
+  player.pos.y = y;
+  return false;
 }
 
+// Next piece after a lock: the queue advances and hold is available again
 function playerReset() {
-  const pieces = 'TJLOSZI';
-  player.matrix = createPiece(pieces[Math.floor(Math.random() * pieces.length)]);
+  holdUsed = false;
+  spawnPiece(takeNext());
+}
+
+function spawnPiece(type) {
+  player.type = type;
+  player.matrix = createPiece(type);
+  player.rotation = 0;
+  player.lastAction = null;
+  player.lastKick = -1;
+  lockTimer = 0;
+  lockResets = 0;
+  lowestY = 0;
   player.pos.y = 0;
-  player.pos.x = Math.floor(arenaWidth / 2) - Math.floor(player.matrix[0].length / 2);
+  player.pos.x = spawnX(arenaWidth, player.matrix);
+
+  if (arena.collide(player)) {
+    if (MODES[mode].topOut === false) sinkStack();
+    else gameOver();
+  }
+}
 
-  if (collide(arena, player)) {
-    gameOver();
+// Zen never tops out: the stack sinks out of the bottom until the new piece fits
+function sinkStack() {
+  while (arena.collide(player)) {
+    arena.rows.pop();
+    arena.rows.unshift(new Array(arenaWidth).fill(0));
   }
 }
 
 /* -------------------- UI: score/level/lines -------------------- */
+// What a personal best measures in this mode, for the game so far
+function rankValue() {
+  const rank = MODES[mode].rank;
+  return rank === 'time' ? Math.round(elapsed) : rank === 'lines' ? player.lines : player.score;
+}
+
+// m:ss.mmm
+function formatTime(ms) {
+  ms = Math.max(0, Math.round(ms));
+  const m = Math.floor(ms / 60000);
+  const s = Math.floor(ms / 1000) % 60;
+  return `${m}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function formatBest(value) {
+  if (value == null) return '–';
+  return MODES[mode].rank === 'time' ? formatTime(value) : value;
+}
+
 function updateScore() {
+  // Score and line bests are kept as they happen; a Sprint time only counts once finished
+  if (MODES[mode].rank !== 'time' && !viewer.open && isBetter(rankValue(), bests[bestKey()])) saveBest(rankValue());
+  const { rank, goalLines } = MODES[mode];
   const $ = (id) => document.getElementById(id);
   $('scoreBottom').textContent = player.score;
-  $('lines').textContent = player.lines;
-  $('highScore').textContent = player.highScore;
+  $('lines').textContent = goalLines ? `${player.lines}/${goalLines}` : player.lines;
+  $('bestLabel').textContent = rank === 'time' ? 'Best Time' : rank === 'lines' ? 'Most Lines' : 'High Score';
+  $('highScore').textContent = formatBest(bests[bestKey()]);
   $('level').textContent = player.level;
+  updateClock();
+}
+
+// Ultra counts down, the other modes up
+function updateClock() {
+  const limit = MODES[mode].timeLimit;
+  const text = formatTime(limit ? limit - elapsed : elapsed);
+  const el = document.getElementById('time');
+  if (el.textContent !== text) el.textContent = text;
 }
 
 /* -------------------- Game state -------------------- */
 function gameOver() {
+  finishGame(false);
+}
+
+// completed: the mode's goal or time limit was reached (a top-out or an ended Zen session is not)
+function finishGame(completed) {
   isPaused = true;
   isGameOver = true;
+  if (viewer.open) return; // a replay reaching its end: no results, coins or bests
+  clearSave();
+  document.getElementById('pauseOverlay').style.display = 'none';
+
+  const m = MODES[mode];
+  const value = rankValue();
+  const newBest = (completed || m.rank !== 'time') && isBetter(value, bestAtStart) && value > 0;
+  if (newBest && m.rank === 'time') saveBest(value);
+  updateScore();
+
+  const replay = archiveReplay(newBest && mode === 'sprint');
+
+  if (completed && m.coins !== false) {
+    Coins.reward('tetris.result', { mode, ms: Math.round(elapsed), score: player.score, cpu: cpuLevel, best: newBest })
+      .catch(e => console.warn('Tetris result reward failed:', e));
+  }
+  showResults(completed, newBest, replay);
+}
+
+// The game's replay joins the recent list (a new Sprint best also keeps it as that best's replay)
+// -> the archived entry, or null when there was nothing to keep
+function archiveReplay(sprintBest = false) {
+  if (!recording || !pieces) return null;
+  const entry = {
+    code: encodeReplay({ ...recording, ticks }),
+    label: modeLabel(recording.mode, recording.cpu),
+    score: player.score,
+    lines: player.lines,
+    ms: Math.round(elapsed),
+    endedAt: Date.now(),
+  };
+  recording = null;
+  Replays.archive(entry);
+  if (sprintBest) Replays.keepSprintBest(entry);
+  return entry;
+}
+
+/* -------------------- Results -------------------- */
+function modeLabel(m = mode, level = cpuLevel) {
+  const label = (MODES[m] || MODES.marathon).label;
+  return MODES[m]?.versus ? `${label} · ${CPU_LEVELS[level].label}` : label;
+}
+
+function resultTitle(completed) {
+  if (mode === 'zen') return 'Zen session';
+  if (MODES[mode].versus) return completed ? 'You win!' : 'CPU wins';
+  if (!completed) return 'Game over';
+  return mode === 'ultra' ? "Time's up!" : `${MODES[mode].label} complete!`;
+}
+
+function showResults(completed, newBest, replay) {
+  hideResults();
+  const rank = MODES[mode].rank;
+  const headline = rank === 'time' && completed ? formatTime(elapsed)
+    : rank === 'lines' ? `${player.lines} lines` : `${player.score} points`;
+  const secs = elapsed / 1000;
+  const stats = [
+    ['Time', formatTime(elapsed)],
+    ['Lines', player.lines],
+    ['Score', player.score],
+    ['Pieces', pieces],
+    ['Pieces / sec', secs > 0 ? (pieces / secs).toFixed(2) : '0.00'],
+    MODES[mode].levels ? ['Level', player.level] : null,
+    cpu ? ['Garbage sent', garbageSent] : null,
+    cpu ? ['Garbage received', garbageReceived] : null,
+    ['Personal best', formatBest(bests[bestKey()])],
+  ].filter(Boolean);
+
+  const overlay = document.createElement('div');
+  overlay.className = `tetris-results ${completed ? 'completed' : 'failed'}`;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-label', resultTitle(completed));
+  overlay.innerHTML = `
+    <span class="tetris-results-mode">${modeLabel()}</span>
+    <strong class="tetris-results-title">${resultTitle(completed)}</strong>
+    <span class="tetris-results-headline">${headline}</span>
+    ${newBest ? '<span class="tetris-results-best">New personal best!</span>' : ''}
+    <dl class="tetris-results-stats">
+      ${stats.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+    </dl>
+    <div class="tetris-results-actions">
+      <button type="button" data-results="again">Play again</button>
+      ${replay ? '<button type="button" data-results="replay">Watch replay</button>' : ''}
+    </div>`;
+  overlay.querySelector('[data-results="again"]').onclick = () => newGame();
+  if (replay) overlay.querySelector('[data-results="replay"]').onclick = () => watchReplay(replay);
+  document.querySelector('.tetris-container').appendChild(overlay);
+}
+
+function hideResults() {
+  document.querySelectorAll('.tetris-results').forEach(el => el.remove());
+}
+
+/* -------------------- Save / resume -------------------- */
+// The whole game goes to SAVE_KEY when paused or hidden. A save caught mid line-clear
+// still holds the full rows; restoring re-runs the clear and spawns the next piece.
+let resumePending = false;      // the startup Resume / New game prompt is open
+
+// Everything a game needs to carry on exactly where it was (also the replay viewer's checkpoints)
+function captureState() {
+  return {
+    version: 1,
+    mode,
+    arena: arena.rows,
+    piece: {
+      type: player.type, matrix: player.matrix, pos: player.pos, rotation: player.rotation,
+      lastAction: player.lastAction, lastKick: player.lastKick,
+    },
+    score: player.score,
+    lines: player.lines,
+    level: player.level,
+    elapsed,
+    clockStopped,
+    ticks,
+    pieces,
+    bestAtStart,
+    bag,
+    nextQueue,
+    holdType,
+    holdUsed,
+    rngState,
+    combo,
+    backToBack,
+    pendingSpin,
+    dropCounter,
+    lockTimer,
+    lockResets,
+    lowestY,
+    lineClearFrame,
+    shift,
+    softDropTimer,
+    heldMask,
+    timing,
+    isGameOver,
+    versus: cpu && { cpu: cpu.toJSON(), incoming, sent: garbageSent, received: garbageReceived },
+  };
+}
+const cloneState = () => JSON.parse(JSON.stringify(captureState()));
+
+function saveGame() {
+  // While a replay plays, the game set aside is the one to keep
+  const state = viewer.open ? viewer.resume : captureState();
+  if (state.isGameOver || resumePending) return;
+  try {
+    const replay = recording && encodeReplay({ ...recording, ticks: state.ticks });
+    localStorage.setItem(SAVE_KEY, JSON.stringify({ ...state, replay }));
+  } catch (e) {
+    console.warn('Failed to save Tetris game:', e);
+  }
+}
+
+function loadSave() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SAVE_KEY));
+    const valid = s && s.version === 1 && Array.isArray(s.arena) && s.arena.length === arenaHeight &&
+      s.arena.every(row => Array.isArray(row) && row.length === arenaWidth) &&
+      s.piece && PIECES.includes(s.piece.type) && Array.isArray(s.piece.matrix) &&
+      (!MODES[s.mode]?.versus || (s.versus && Array.isArray(s.versus.cpu?.rows)));
+    return valid ? s : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearSave() {
+  localStorage.removeItem(SAVE_KEY);
+}
+
+function restoreGame(s) {
+  if (s.versus) setCpuLevel(s.versus.cpu.level);
+  setMode(MODES[s.mode] ? s.mode : 'marathon');
+  arena.load(s.arena);
+  cpu = s.versus ? Opponent.fromJSON(s.versus.cpu, arenaWidth, arenaHeight) : null;
+  incoming = s.versus ? s.versus.incoming.map(g => ({ ...g })) : [];
+  garbageSent = s.versus?.sent || 0;
+  garbageReceived = s.versus?.received || 0;
+  player.type = s.piece.type;
+  player.matrix = s.piece.matrix.map(row => row.slice());
+  player.pos = { x: s.piece.pos.x, y: s.piece.pos.y };
+  player.rotation = s.piece.rotation;
+  player.lastAction = s.piece.lastAction ?? null;
+  player.lastKick = s.piece.lastKick ?? -1;
+  player.score = s.score;
+  player.lines = s.lines;
+  player.level = s.level;
+  elapsed = s.elapsed || 0;
+  clockStopped = !!s.clockStopped;
+  ticks = s.ticks || 0;
+  pieces = s.pieces || 0;
+  bestAtStart = s.bestAtStart ?? null;
+  bag = s.bag.slice();
+  nextQueue.splice(0, nextQueue.length, ...s.nextQueue);
+  holdType = s.holdType;
+  holdUsed = s.holdUsed;
+  rngState = s.rngState >>> 0;
+  combo = s.combo;
+  backToBack = s.backToBack;
+  pendingSpin = s.pendingSpin;
+  lockTimer = s.lockTimer || 0;
+  lockResets = s.lockResets || 0;
+  lowestY = s.lowestY ?? player.pos.y;
+  dropCounter = s.dropCounter || 0;
+  Object.assign(shift, s.shift || { dir: 0, das: 0, arr: 0 });
+  softDropTimer = s.softDropTimer || 0;
+  heldMask = s.heldMask || 0;
+  timing = s.timing ? { ...LOCK_DEFAULTS, ...s.timing } : liveTiming(); // saves before lock settings used the defaults
+  pendingPresses = [];
+  isGameOver = !!s.isGameOver;
+  // Saves carry the game's replay so far; checkpoints leave the recording alone
+  if ('replay' in s) recording = s.replay ? decodeReplay(s.replay) : null;
+  updateScore();
+  isClearing = false;
+  sweepArena();
+  if (isClearing) lineClearFrame = s.lineClearFrame || 0;
+}
+
+// Startup with a save: hold the fresh game paused until the player picks Resume or New game
+function offerResume(saved) {
+  resumePending = true;
+  isPaused = true;
   const lbl = document.querySelector('.pause-label');
-  if (lbl) lbl.textContent = 'GAME OVER';
-  const overlay = document.getElementById('pauseOverlay');
-  if (overlay) overlay.style.display = 'flex';
-}
-
-/* -------------------- Controls (keyboard + on-screen) -------------------- */
-document.addEventListener('keydown', (e) => {
-  if (isPaused || isGameOver || isClearing) return;
-  if (e.key === 'ArrowLeft') {
-    player.pos.x--; if (collide(arena, player)) player.pos.x++;
-  } else if (e.key === 'ArrowRight') {
-    player.pos.x++; if (collide(arena, player)) player.pos.x--;
-  } else if (e.key === 'ArrowDown') {
-    playerDrop();
-  } else if (e.key === 'ArrowUp') {
+  if (lbl) lbl.textContent = 'SAVED GAME';
+  const label = modeLabel(saved.mode, saved.versus?.cpu.level);
+  document.getElementById('resumeInfo').textContent = `${label} • Score ${saved.score} • Lines ${saved.lines}`;
+  $btn('resumePrompt').hidden = false;
+  document.getElementById('pauseOverlay').style.display = 'flex';
+
+  const close = () => {
+    resumePending = false;
+    isPaused = false;
+    if (lbl) lbl.textContent = 'PAUSED';
+    $btn('resumePrompt').hidden = true;
+    document.getElementById('pauseOverlay').style.display = 'none';
+  };
+  $btn('resumeSaveBtn').onclick = () => { restoreGame(saved); close(); };
+  $btn('discardSaveBtn').onclick = () => { clearSave(); close(); };
+}
+
+// Leaving the tab pauses (and so saves) the game; pagehide covers reloads and closes
+function pauseGame() {
+  if (viewer.open) {
+    viewer.playing = false;
+    renderViewer();
+    return saveGame();
+  }
+  if (isGameOver || resumePending) return;
+  isPaused = true;
+  document.getElementById('pauseOverlay').style.display = 'flex';
+  saveGame();
+}
+document.addEventListener('visibilitychange', () => { if (document.hidden) pauseGame(); });
+window.addEventListener('pagehide', saveGame);
+
+/* -------------------- Controls (keyboard / gamepad + on-screen) -------------------- */
+// Presses wait for the tick covering the game time they happened at, which applies and records them;
+// holding left/right or soft drop is read once per tick too and handled by handleHeld()
+const shift = { dir: 0, das: 0, arr: 0 };   // auto-shift: direction held, ms charged, ms toward the next repeat
+let softDropTimer = 0;
+let pendingPresses = [];        // [{ action, at }] presses not yet due, `at` in game ms (ticks * TICK_MS)
+let pressEarly = 0;             // ms the press being applied came before its tick's end
+let heldMask = 0;               // HELD_ACTIONS held this tick, a bit each
+let timing = null;              // handling in effect (TIMING_KEYS), from the controls settings
+let recording = null;           // this game's replay so far (tetris-core.js); null for games resumed from older saves
+
+const isHeld = (action) => (heldMask & (1 << HELD_ACTIONS.indexOf(action))) !== 0;
+const liveTiming = () => Controls.settings();
+
+function onPress(action) {
+  if (viewer.open) {
+    if (action === 'pause') toggleViewerPlay();
+    return;
+  }
+  if (action === 'pause') return togglePause();
+  if (isPaused || isGameOver) return;
+  pendingPresses.push({ action, at: ticks * TICK_MS + tickAccum + (performance.now() - frameAt) });
+}
+
+// Once per tick: live input is recorded as it is applied, a replay feeds back its own
+function readInputs() {
+  if (viewer.open) {
+    const { inputs } = viewer.rec;
+    while (viewer.next < inputs.length && inputs[viewer.next].t <= ticks) applyInput(inputs[viewer.next++]);
+    return;
+  }
+  const next = liveTiming();
+  if (TIMING_KEYS.some(k => next[k] !== timing[k])) record({ timing: next });
+  const end = ticks * TICK_MS;
+  while (pendingPresses.length && pendingPresses[0].at <= end) {
+    const { action, at } = pendingPresses.shift();
+    record({ press: action, early: Math.min(Math.round(end - at), Math.floor(TICK_MS)) });
+  }
+  const held = HELD_ACTIONS.reduce((mask, action, i) => Controls.held(action) ? mask | (1 << i) : mask, 0);
+  if (held !== heldMask) record({ held });
+}
+
+function record(input) {
+  recording?.inputs.push({ t: ticks, ...input });
+  applyInput(input);
+}
+
+function applyInput({ press, early = 0, held, timing: next }) {
+  if (press) {
+    pressEarly = early;
+    applyPress(press);
+    pressEarly = 0;
+  } else if (next) timing = { ...next };
+  else heldMask = held;
+}
+
+function applyPress(action) {
+  if (isClearing) return;
+  if (action === 'left' || action === 'right') {
+    Object.assign(shift, { dir: action === 'left' ? -1 : 1, das: 0, arr: 0 });
+    playerMove(shift.dir);
+  } else if (action === 'softDrop') {
+    softDropTimer = 0;
+    playerDrop(true);
+  } else if (action === 'hardDrop') {
+    playerHardDrop();
+  } else if (action === 'rotateCW') {
     playerRotate(1);
+  } else if (action === 'rotateCCW') {
+    playerRotate(-1);
+  } else if (action === 'rotate180') {
+    playerRotate(2);
+  } else if (action === 'hold') {
+    playerHold();
+  }
+}
+Controls.init({ onPress });
+Controls.attachTouch(canvas, arenaWidth);
+
+// DAS: a held direction repeats after `das` ms, then every `arr` ms (0 = to the wall). The last
+// pressed direction wins; releasing it hands over to the other if that is still held.
+// The charge keeps building during line clears, so a held move fires on the next piece.
+function handleHeld(dt) {
+  const { das, arr, sdf } = timing;
+  const heldDir = (dir) => isHeld(dir < 0 ? 'left' : 'right');
+  if (shift.dir && !heldDir(shift.dir)) {
+    Object.assign(shift, { dir: heldDir(-shift.dir) ? -shift.dir : 0, das: 0, arr: 0 });
+  }
+  if (shift.dir) {
+    const charged = shift.das >= das;
+    shift.das += dt;
+    if (shift.das >= das) {
+      if (!arr) {
+        while (playerMove(shift.dir));
+      } else {
+        shift.arr += charged ? dt : arr; // the first repeat fires as DAS completes
+        while (shift.arr >= arr) {
+          shift.arr -= arr;
+          if (!playerMove(shift.dir)) { shift.arr = 0; break; }
+        }
+      }
+    }
   }
-});
+
+  // Soft drop: gravity × sdf (Zen drops at the base rate × sdf); sdf 0 = all the way down
+  if (isHeld('softDrop')) {
+    const g = gravityMs();
+    const interval = sdf ? (g === Infinity ? FIXED_GRAVITY_MS : g) / sdf : 0;
+    softDropTimer += dt;
+    while ((!interval || softDropTimer >= interval) && !isClearing && !isPaused && !isGrounded()) {
+      softDropTimer -= interval;
+      playerDrop(true);
+    }
+    if (!interval || isGrounded()) softDropTimer = 0;
+  }
+}
 
 const $btn = (id) => document.getElementById(id);
-$btn('leftBtn').onclick = () => { if (!isPaused && !isGameOver && !isClearing) { player.pos.x--; if (collide(arena, player)) player.pos.x++; } };
-$btn('rightBtn').onclick = () => { if (!isPaused && !isGameOver && !isClearing) { player.pos.x++; if (collide(arena, player)) player.pos.x--; } };
-$btn('downBtn').onclick = () => { if (!isPaused && !isGameOver && !isClearing) playerDrop(); };
-$btn('rotateBtn').onclick = () => { if (!isPaused && !isGameOver && !isClearing) playerRotate(1); };
-
-$btn('pauseBtn').onclick = () => {
-  if (isGameOver) return;
-  isPaused = !isPaused;
-  const overlay = document.getElementById('pauseOverlay');
-  if (overlay) overlay.style.display = isPaused ? 'flex' : 'none';
+$btn('leftBtn').onclick = () => onPress('left');
+$btn('rightBtn').onclick = () => onPress('right');
+$btn('downBtn').onclick = () => onPress('softDrop');
+$btn('hardDropBtn').onclick = () => onPress('hardDrop');
+$btn('rotateBtn').onclick = () => onPress('rotateCW');
+$btn('rotateCcwBtn').onclick = () => onPress('rotateCCW');
+$btn('rotate180Btn').onclick = () => onPress('rotate180');
+$btn('holdBtn').onclick = () => onPress('hold');
+
+function togglePause() {
+  if (isGameOver || resumePending) return;
+  if (!isPaused) return pauseGame();
+  isPaused = false;
+  document.getElementById('pauseOverlay').style.display = 'none';
+}
+$btn('pauseBtn').onclick = togglePause;
+
+// The panel pauses the game; it stays paused after closing
+$btn('controlsBtn').onclick = () => {
+  pauseGame();
+  Controls.openPanel();
+};
+
+$btn('replaysBtn').onclick = () => {
+  pauseGame();
+  Replays.openPanel();
 };
 
 $btn('resetBtn').onclick = () => {
-  // reset arena & player state
-  arena.forEach(row => row.fill(0));
+  if (resumePending) return;
+  newGame();
+};
+
+// Zen has no end of its own
+$btn('finishBtn').onclick = () => {
+  if (!isGameOver && !resumePending) finishGame(false);
+};
+
+// Switching mode starts a fresh game in it
+$btn('modeSelect').onchange = (e) => {
+  e.target.blur(); // keep Space / arrows for the game
+  if (resumePending) { e.target.value = mode; return; }
+  setMode(e.target.value);
+  newGame();
+};
+
+// Switching CPU level starts a fresh versus game
+$btn('cpuSelect').onchange = (e) => {
+  e.target.blur();
+  if (resumePending) { e.target.value = cpuLevel; return; }
+  setCpuLevel(e.target.value);
+  newGame();
+};
+
+function setMode(next) {
+  mode = next;
+  localStorage.setItem(MODE_KEY, mode);
+  $btn('modeSelect').value = mode;
+  $btn('finishBtn').hidden = mode !== 'zen';
+  const versus = !!MODES[mode].versus;
+  $btn('cpuSelect').hidden = !versus;
+  document.querySelector('.tetris-opponent').hidden = !versus;
+  resizeCanvas();
+}
+
+function setCpuLevel(next) {
+  cpuLevel = CPU_LEVELS[next] ? next : 'medium';
+  localStorage.setItem(CPU_KEY, cpuLevel);
+  $btn('cpuSelect').value = cpuLevel;
+  $btn('cpuLabel').textContent = `CPU · ${CPU_LEVELS[cpuLevel].label}`;
+}
+
+function newGame() {
+  archiveReplay(); // a game left unfinished is kept too
+  clearSave();
+  hideResults();
+  startGame();
+  const overlay = document.getElementById('pauseOverlay');
+  if (overlay) overlay.style.display = 'none';
+  updateScore();
+  draw();
+}
+
+// A new game on fresh seeds, recorded from its first tick
+function startGame() {
+  const seed = newSeed(), cpuSeed = newSeed();
+  resetGame(seed, cpuSeed, liveTiming());
+  recording = { mode, cpu: cpu ? cpuLevel : null, seed, cpuSeed, timing: { ...timing }, ticks: 0, inputs: [] };
+}
+
+// Everything back to the first tick of a game on these seeds (a new game, or a replay's start)
+function resetGame(seed, cpuSeed, startTiming) {
+  arena.clear();
   player.score = 0;
   player.lines = 0;
   player.level = 0;
-  player.highScore = Number(localStorage.getItem('highScore')) || 0;
-  dropInterval = 1000;
+  elapsed = 0;
+  clockStopped = false;
+  ticks = 0;
+  pieces = 0;
+  bestAtStart = bests[bestKey()] ?? null;
   isPaused = false;
   isGameOver = false;
   isClearing = false;
   linesToClear = [];
   lineClearFrame = 0;
-  const lbl = document.querySelector('.pause-label');
-  if (lbl) lbl.textContent = 'PAUSED';
-  const overlay = document.getElementById('pauseOverlay');
-  if (overlay) overlay.style.display = 'none';
-  updateScore();
+  bag = [];
+  rngState = seed;
+  nextQueue.length = 0;
+  holdType = null;
+  combo = -1;
+  backToBack = false;
+  pendingSpin = null;
+  Object.assign(shift, { dir: 0, das: 0, arr: 0 });
+  softDropTimer = 0;
+  pendingPresses = [];
+  heldMask = 0;
+  timing = { ...startTiming };
+  resetVersus(cpuSeed);
   playerReset();
   dropCounter = 0;
-  draw();
+}
+
+/* -------------------- Replay viewer -------------------- */
+// Watching sets the game in progress aside (as a save would) and re-runs the replay's ticks on the
+// arena, with the recorded inputs. Seeking back restores the nearest checkpoint and plays forward from it.
+const CHECKPOINT_TICKS = 600;   // a checkpoint every 10 s of play
+const viewer = {
+  open: false,
+  rec: null,                    // the replay (tetris-core.js)
+  next: 0,                      // index of its next input
+  playing: false,
+  seeking: false,
+  speed: 1,
+  accum: 0,                     // ms toward the next tick
+  checkpoints: [],              // [{ tick, next, state }], ascending
+  resume: null,                 // the game set aside (captureState)
+  cpuLevel: null,               // the CPU level it was picked with
 };
 
+// -> false when the replay cannot be shown here
+function watchReplay(entry) {
+  const rec = decodeReplay(entry.code);
+  if (!rec || !MODES[rec.mode] || (MODES[rec.mode].versus && !CPU_LEVELS[rec.cpu]) || resumePending) return false;
+  if (!viewer.open) {
+    viewer.resume = cloneState();
+    viewer.cpuLevel = cpuLevel;
+  }
+  hideResults();
+  document.getElementById('pauseOverlay').style.display = 'none';
+  document.querySelector('.tetris-wrapper').classList.add('replaying');
+  $btn('replayBar').hidden = false;
+  $btn('replayLabel').textContent = entry.label || modeLabel(rec.mode, rec.cpu);
+  $btn('replayScrub').max = rec.ticks;
+
+  viewer.open = true;
+  viewer.rec = rec;
+  if (rec.cpu) setCpuLevel(rec.cpu);
+  setMode(rec.mode);
+  resetGame(rec.seed, rec.cpuSeed, rec.timing);
+  viewer.next = 0;
+  viewer.checkpoints = [checkpoint()];
+  viewer.accum = 0;
+  viewer.playing = true;
+  updateScore();
+  renderViewer();
+  return true;
+}
+
+function checkpoint() {
+  return { tick: ticks, next: viewer.next, state: cloneState() };
+}
+
+function viewerFrame(dt) {
+  if (!viewer.playing) return;
+  viewer.accum = Math.min(viewer.accum + dt * viewer.speed, TICK_MS * MAX_CATCH_UP * 4);
+  while (viewer.accum >= TICK_MS) {
+    viewer.accum -= TICK_MS;
+    if (!viewerStep()) break;
+  }
+  renderViewer();
+}
+
+// One replay tick -> false once the replay is over
+function viewerStep() {
+  if (isGameOver || ticks >= viewer.rec.ticks) {
+    viewer.playing = false;
+    return false;
+  }
+  tick();
+  if (ticks % CHECKPOINT_TICKS === 0 && ticks > viewer.checkpoints.at(-1).tick) viewer.checkpoints.push(checkpoint());
+  return true;
+}
+
+function seekViewer(target) {
+  target = Math.max(0, Math.min(viewer.rec.ticks, target));
+  if (target < ticks) {
+    const cp = viewer.checkpoints.filter(c => c.tick <= target).at(-1);
+    restoreGame(cp.state);
+    viewer.next = cp.next;
+    isPaused = false;
+  }
+  viewer.seeking = true;
+  while (ticks < target && viewerStep());
+  viewer.seeking = false;
+  renderViewer();
+}
+
+function toggleViewerPlay() {
+  if (!viewer.playing && (isGameOver || ticks >= viewer.rec.ticks)) seekViewer(0);
+  viewer.playing = !viewer.playing;
+  renderViewer();
+}
+
+function renderViewer() {
+  const playBtn = $btn('replayPlayBtn');
+  playBtn.textContent = viewer.playing ? '⏸' : '▶';
+  playBtn.setAttribute('aria-label', viewer.playing ? 'Pause' : 'Play');
+  $btn('replayScrub').value = ticks;
+  $btn('replayTime').textContent = `${formatTime(ticks * TICK_MS)} / ${formatTime(viewer.rec.ticks * TICK_MS)}`;
+}
+
+// Back to the game that was set aside: paused, or a fresh one if it had ended
+function closeViewer() {
+  const s = viewer.resume;
+  Object.assign(viewer, { open: false, playing: false, rec: null, checkpoints: [], resume: null });
+  document.querySelector('.tetris-wrapper').classList.remove('replaying');
+  $btn('replayBar').hidden = true;
+  setCpuLevel(viewer.cpuLevel);
+  if (s.isGameOver) {
+    setMode(s.mode);
+    return newGame();
+  }
+  restoreGame(s);
+  isPaused = true;
+  document.getElementById('pauseOverlay').style.display = 'flex';
+}
+
+$btn('replayPlayBtn').onclick = toggleViewerPlay;
+$btn('replayExitBtn').onclick = closeViewer;
+$btn('replayScrub').oninput = (e) => {
+  viewer.playing = false;
+  seekViewer(+e.target.value);
+};
+$btn('replaySpeed').onchange = (e) => {
+  e.target.blur();
+  viewer.speed = +e.target.value || 1;
+};
+
+Replays.init({
+  onWatch: watchReplay,
+  // The game in progress can be watched up to now
+  current: () => recording && pieces && !isGameOver && !viewer.open ? {
+    code: encodeReplay({ ...recording, ticks }),
+    label: modeLabel(recording.mode, recording.cpu),
+    score: player.score,
+    lines: player.lines,
+    ms: Math.round(elapsed),
+  } : null,
+});
+
 /* -------------------- Kick-off -------------------- */
-resizeCanvas();
-playerReset();
+setCpuLevel(cpuLevel);
+setMode(mode);
+startGame();
 updateScore();
 document.getElementById('pauseOverlay').style.display = 'none';
+const saved = loadSave();
+if (saved) offerResume(saved);
 update();
@@ -123,10 +123,12 @@ function Block(block) {
   if (!this.targetBlock) {
     this.color = 0x333344;
   } else {
+    // window.towerScheme: equipped shop color scheme (null for the default); play starts once the page has set it
+    var s = window.towerScheme || { base: [200, 200, 200], amp: [55, 55, 55], phase: [0, 2, 4] };
     var offset = this.index + this.colorOffset;
-    var r = Math.sin(0.3 * offset) * 55 + 200;
-    var g = Math.sin(0.3 * offset + 2) * 55 + 200;
-    var b = Math.sin(0.3 * offset + 4) * 55 + 200;
+    var r = Math.sin(0.3 * offset + s.phase[0]) * s.amp[0] + s.base[0];
+    var g = Math.sin(0.3 * offset + s.phase[1]) * s.amp[1] + s.base[1];
+    var b = Math.sin(0.3 * offset + s.phase[2]) * s.amp[2] + s.base[2];
     this.color = new THREE.Color(r / 255, g / 255, b / 255);
   }
 
@@ -288,6 +290,7 @@ Game.prototype.updateState = function(newState) {
 Game.prototype.onAction = function() {
   switch (this.state) {
     case this.STATES.READY:
+      if (window.towerScheme === undefined) break; // the page is still loading the equipped scheme
       this.startGame();
       break;
     case this.STATES.PLAYING:
@@ -301,6 +304,7 @@ Game.prototype.onAction = function() {
 
 Game.prototype.startGame = function() {
   if (this.state != this.STATES.PLAYING) {
+    this.perfects = 0;
     this.scoreContainer.innerHTML = '0';
     this.updateState(this.STATES.PLAYING);
     this.addBlock();
@@ -341,6 +345,11 @@ Game.prototype.placeBlock = function() {
   var currentBlock = this.blocks[this.blocks.length - 1];
   var newBlocks = currentBlock.place();
   this.newBlocks.remove(currentBlock.mesh);
+  // Perfect placements are announced for the page glue (achievements live in an ES module)
+  if (newBlocks.bonus) {
+    this.perfects = (this.perfects || 0) + 1;
+    window.dispatchEvent(new CustomEvent('tower:perfect', { detail: { count: this.perfects } }));
+  }
   if (newBlocks.placed) this.placedBlocks.add(newBlocks.placed);
   if (newBlocks.chopped) {
     this.choppedBlocks.add(newBlocks.chopped);
@@ -0,0 +1,136 @@
+// test/2048-core.test.js — merge edge cases of the pure 2048 move model
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { move, canMove } from '../js/2048-core.js';
+
+// Boards are column-major (board[x][y]); tests read better as rows, so convert both ways
+const fromRows = (rows) => rows[0].map((_, x) => rows.map(row => row[x]));
+const toRows = (board) => board[0].map((_, y) => board.map(col => col[y]));
+
+// Apply `dir` to `rows` and check the resulting rows and score
+function check(rows, dir, expected, scoreDelta) {
+  const board = fromRows(rows);
+  const before = JSON.stringify(board);
+  const result = move(board, dir);
+  assert.deepEqual(toRows(result.board), expected);
+  assert.equal(result.scoreDelta, scoreDelta);
+  assert.equal(result.moved, true);
+  assert.equal(JSON.stringify(board), before, 'input board is not mutated');
+  return result;
+}
+
+// `line` as the top row (for left/right) or the first column (for up/down), read in that direction
+const asRow = (line) => [line, ...line.slice(1).map(() => line.map(() => 0))];
+const asColumn = (line) => line.map((v) => line.map((_, x) => x === 0 ? v : 0));
+
+test('[2,2,2,2] merges into two pairs, never into one 8, in all four directions', () => {
+  check(asRow([2, 2, 2, 2]), 'left', asRow([4, 4, 0, 0]), 4);
+  check(asRow([2, 2, 2, 2]), 'right', asRow([0, 0, 4, 4]), 4);
+  check(asColumn([2, 2, 2, 2]), 'up', asColumn([4, 4, 0, 0]), 4);
+  check(asColumn([2, 2, 2, 2]), 'down', asColumn([0, 0, 4, 4]), 4);
+});
+
+test('[4,4,8,8] merges each pair once, in all four directions; the new 8 does not merge again', () => {
+  check(asRow([4, 4, 8, 8]), 'left', asRow([8, 16, 0, 0]), 12);
+  check(asRow([4, 4, 8, 8]), 'right', asRow([0, 0, 8, 16]), 12);
+  check(asColumn([4, 4, 8, 8]), 'up', asColumn([8, 16, 0, 0]), 12);
+  check(asColumn([4, 4, 8, 8]), 'down', asColumn([0, 0, 8, 16]), 12);
+});
+
+test('three equal tiles merge at the leading edge', () => {
+  check([[2, 2, 2, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 'left',
+    [[4, 2, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 2);
+  check([[2, 2, 2, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 'right',
+    [[0, 0, 2, 4], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 2);
+});
+
+test('all four directions on the same board', () => {
+  const rows = [
+    [2, 2, 2, 2],
+    [4, 0, 4, 0],
+    [4, 4, 8, 8],
+    [2, 0, 0, 2],
+  ];
+  check(rows, 'left', [
+    [4, 4, 0, 0],
+    [8, 0, 0, 0],
+    [8, 16, 0, 0],
+    [4, 0, 0, 0],
+  ], 4 + 4 + 12 + 2);
+  check(rows, 'right', [
+    [0, 0, 4, 4],
+    [0, 0, 0, 8],
+    [0, 0, 8, 16],
+    [0, 0, 0, 4],
+  ], 4 + 4 + 12 + 2);
+  // columns: [2,4,4,2] [2,0,4,0] [2,4,8,0] [2,0,8,2]
+  check(rows, 'up', [
+    [2, 2, 2, 2],
+    [8, 4, 4, 8],
+    [2, 0, 8, 2],
+    [0, 0, 0, 0],
+  ], 4);
+  check(rows, 'down', [
+    [0, 0, 0, 0],
+    [2, 0, 2, 2],
+    [8, 2, 4, 8],
+    [2, 4, 8, 2],
+  ], 4);
+});
+
+test('moves and merges report where each tile went', () => {
+  const { merges, moves } = check([[2, 2, 2, 2], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 'left',
+    [[4, 4, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 4);
+  assert.deepEqual(merges, [{ x: 0, y: 0, value: 4 }, { x: 1, y: 0, value: 4 }]);
+  assert.deepEqual(moves, [
+    { from: { x: 1, y: 0 }, to: { x: 0, y: 0 }, value: 2, merged: true },
+    { from: { x: 2, y: 0 }, to: { x: 1, y: 0 }, value: 2, merged: false },
+    { from: { x: 3, y: 0 }, to: { x: 1, y: 0 }, value: 2, merged: true },
+  ]);
+});
+
+test('a blocked direction leaves the board unchanged', () => {
+  const board = fromRows([
+    [2, 4, 0, 0],
+    [4, 8, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ]);
+  for (const dir of ['left', 'up']) {
+    const result = move(board, dir);
+    assert.equal(result.moved, false);
+    assert.equal(result.board, board, 'the same board comes back');
+    assert.equal(result.scoreDelta, 0);
+    assert.deepEqual(result.merges, []);
+    assert.deepEqual(result.moves, []);
+  }
+  assert.equal(move(board, 'right').moved, true);
+});
+
+test('a full board with no equal neighbours cannot move at all', () => {
+  const board = fromRows([
+    [2, 4, 2, 4],
+    [4, 2, 4, 2],
+    [2, 4, 2, 4],
+    [4, 2, 4, 2],
+  ]);
+  for (const dir of ['up', 'right', 'down', 'left']) {
+    const result = move(board, dir);
+    assert.equal(result.moved, false);
+    assert.equal(result.board, board);
+    assert.equal(result.scoreDelta, 0);
+  }
+  assert.equal(canMove(board), false);
+});
+
+test('other board sizes follow the same rules', () => {
+  check([[2, 2, 4], [0, 0, 0], [0, 0, 0]], 'left', [[4, 4, 0], [0, 0, 0], [0, 0, 0]], 2);
+  check([[2, 2, 2, 2, 2, 2, 2, 2], ...Array.from({ length: 7 }, () => new Array(8).fill(0))], 'right',
+    [[0, 0, 0, 0, 4, 4, 4, 4], ...Array.from({ length: 7 }, () => new Array(8).fill(0))], 8);
+});
+
+test('an unknown direction throws', () => {
+  assert.throws(() => move(fromRows([[0, 0], [0, 0]]), 'sideways'), /unknown direction/);
+});